@@ -0,0 +1,671 @@
+// ============================================
+// SHARED MENU CATALOG (index.html + product-detail.html)
+// ============================================
+// Single source of truth for names, prices, descriptions and images.
+// Change a price here and both pages pick it up.
+//
+// Sold out: give a product, extra or drink
+//   soldOut: true                       - off sale until the flag is removed
+//   soldOutUntil: '2026-10-20T17:00'    - off sale until that shop time
+//                                         (Johannesburg), then back by itself
+// e.g. { name: 'Russian Sausage', price: 25, soldOutUntil: '2026-10-21T09:00' }
+
+const MenuCatalog = {
+    // Menu tabs, in display order
+    categories: [
+        { id: 'kota', label: 'KOTA', icon: '', itemLabel: 'Kota', sortOrder: 1 },
+        { id: 'sandwiches', label: 'SANDWICHES', icon: 'fas fa-bread-slice', itemLabel: 'Sandwich', sortOrder: 2 },
+        { id: 'burgers', label: 'BURGERS', icon: 'fas fa-hamburger', itemLabel: 'Burger', sortOrder: 3 },
+        { id: 'extras', label: 'CHIPS', icon: 'fas fa-french-fries', itemLabel: '', sortOrder: 4 }
+    ],
+
+    products: {
+        // ---------- KOTA ----------
+        'nix-mapha': {
+            name: 'NIX MAPHA',
+            description: 'FRESH BREAD, GREENS, POLONY, SECRET SAUCE AND CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['bread', 'greens', 'polony', 'chips'],
+            price: 17,
+            image: 'ORDERING/ORDERING 8.jpg',
+            category: 'kota',
+            sortOrder: 1,
+            popular: { badge: '⭐ BESTSELLER', sortOrder: 3 }
+        },
+        'kwela-kwela': {
+            name: 'KWELA KWELA',
+            description: 'FRESH BREAD, GREENS, POLONY, CHEESE, SECRET SAUCE AND CHIPS.(EXCLUDING THE LAYS)',
+            ingredients: ['bread', 'greens', 'polony', 'cheese', 'chips'],
+            price: 22,
+            image: 'ORDERING/ORDERING 2.jpg',
+            category: 'kota',
+            sortOrder: 2
+        },
+        'skaftin': {
+            name: 'SKAFTIN',
+            description: 'FRESH BREAD, GREENS, EGG, POLONY, SECRET SAUCE AND CHIPS.',
+            ingredients: ['bread', 'greens', 'egg', 'polony', 'chips'],
+            price: 25,
+            image: 'ORDERING/ORDERING 10.jpg',
+            category: 'kota',
+            sortOrder: 3,
+            popular: { badge: '💥 TRENDING', sortOrder: 1 }
+        },
+        'sporo': {
+            name: 'SPORO',
+            description: 'FRESH BREAD, GREENS, POLONY, VIENNA, SECRET SAUCE AND CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['bread', 'greens', 'polony', 'vienna', 'chips'],
+            price: 27,
+            image: 'ORDERING/ORDERING 1.jpg',
+            category: 'kota',
+            sortOrder: 4
+        },
+        'tjovitjo': {
+            name: 'TJOVITJO',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, TANTALIZING SAUCES AND CHIPS.',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'chips'],
+            price: 30,
+            image: 'ORDERING/ORDERING 6.jpg',
+            category: 'kota',
+            sortOrder: 5
+        },
+        'nomthandazo': {
+            name: 'NOMTHANDAZO',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, VIENNA, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'vienna', 'chips'],
+            price: 35,
+            image: 'ORDERING/ORDERING 24.jpg',
+            category: 'kota',
+            sortOrder: 6,
+            popular: { badge: '⭐ BESTSELLER', sortOrder: 4 }
+        },
+        'cheeseboy': {
+            name: 'CHEESEBOY',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, GRILLED BACON, TANTALIZING SAUCES AND CHIPS.',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'bacon', 'chips'],
+            price: 40,
+            image: 'ORDERING/ORDERING 5.jpg',
+            category: 'kota',
+            sortOrder: 7
+        },
+        'da-ja-vu': {
+            name: 'DA JA VU',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, CHEESE, RUSSIAN SAUSAGE, TANTALIZING SAUCES AND CHIPS.',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'cheese', 'russian', 'chips'],
+            price: 44,
+            image: 'ORDERING/ORDERING 7.jpg',
+            category: 'kota',
+            sortOrder: 8
+        },
+        'kings-of-gomora': {
+            name: 'KINGS OF GOMORA',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, RUSSIAN SAUSAGE, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'russian', 'chips'],
+            price: 47,
+            image: 'ORDERING/ORDERING 21.jpg',
+            category: 'kota',
+            sortOrder: 9
+        },
+        'papuka': {
+            name: 'PAPUKA',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, BEEF BURGER PATTY, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'beef-patty', 'chips'],
+            price: 50,
+            image: 'ORDERING/ORDERING 26.jpg',
+            category: 'kota',
+            sortOrder: 10
+        },
+        'zuumba': {
+            name: 'ZUUMBA',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, CRISPY FRIED CHICKEN FILLET, TANTALIZING SAUCES AND CHIPS.',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'chicken', 'chips'],
+            price: 62,
+            image: 'ORDERING/ORDERING 20.jpg',
+            category: 'kota',
+            sortOrder: 11
+        },
+        'big-boss': {
+            name: 'BIG BOSS',
+            description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, VIENNA, RUSSIAN SAUSAGE, GRILLED BACON, MOUTH WATERING BEEF PATTY, TANTALIZING SAUCES AND CHIPS.',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'vienna', 'russian', 'bacon', 'beef-patty', 'chips'],
+            price: 85,
+            image: 'ORDERING/ORDERING 19.jpg',
+            category: 'kota',
+            sortOrder: 12
+        },
+        'ugogo': {
+            name: 'UGOGO UYANG THANDA',
+            description: '1/2 FRESH BREAD, GREENS, POLONY, SPECIAL, EGG x2, CHEESE x2, VIENNA x2, GRILLED BACON x2, RUSSIAN SAUSAGE x2, BEEF BURGER PATTY x2, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['bread', 'greens', 'polony', 'special', 'egg', 'cheese', 'vienna', 'bacon', 'russian', 'beef-patty', 'chips'],
+            price: 130,
+            image: 'ORDERING/ORDERING 28.jpg',
+            category: 'kota',
+            sortOrder: 13
+        },
+
+        // ---------- SANDWICHES ----------
+        'makhelwane': {
+            name: 'MAKHELWANE',
+            description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE AND TANTALIZING SAUCES.(EXCLUDING THE DRINK)',
+            ingredients: ['toasted-bread', 'greens', 'egg', 'cheese'],
+            availableHours: 'breakfast',
+            price: 18,
+            image: 'ORDERING/ORDERING 3.jpg',
+            category: 'sandwiches',
+            sortOrder: 1
+        },
+        'kasablanca': {
+            name: 'KASABLANCA',
+            description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, VIENNA AND TANTALIZING SAUCES.(EXCLUDING THE DRINK)',
+            ingredients: ['toasted-bread', 'greens', 'egg', 'cheese', 'vienna'],
+            availableHours: 'breakfast',
+            price: 27,
+            image: 'ORDERING/ORDERING 11.jpg',
+            category: 'sandwiches',
+            sortOrder: 2,
+            popular: { badge: '💥 TRENDING', sortOrder: 2 }
+        },
+        'spongebob': {
+            name: 'SPONGEBOB',
+            description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, GRILLED BACON AND TANTALIZING SAUCES.',
+            ingredients: ['toasted-bread', 'greens', 'egg', 'cheese', 'bacon'],
+            price: 30,
+            image: 'ORDERING/ORDERING 23.jpg',
+            category: 'sandwiches',
+            sortOrder: 3
+        },
+        'cool-guy': {
+            name: 'COOL GUY',
+            description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, RUSSIAN SAUSAGE AND TANTALIZING SAUCES.',
+            ingredients: ['toasted-bread', 'greens', 'egg', 'cheese', 'russian'],
+            price: 36,
+            image: 'ORDERING/ORDERING 27.jpg',
+            category: 'sandwiches',
+            sortOrder: 4
+        },
+        'goliath': {
+            name: 'GOLIATH',
+            description: '3 SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, RUSSIAN SAUSAGE, VIENNA AND TANTALIZING SAUCES.(EXCLUDING THE DRINK)',
+            ingredients: ['toasted-bread', 'greens', 'egg', 'cheese', 'russian', 'vienna'],
+            price: 46,
+            image: 'ORDERING/ORDERING 22.jpg',
+            category: 'sandwiches',
+            sortOrder: 5
+        },
+        'jericho': {
+            name: 'JERICHO',
+            description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, RUSSIAN SAUSAGE, GRILLED BACON AND TANTALIZING SAUCES.',
+            ingredients: ['toasted-bread', 'greens', 'egg', 'cheese', 'russian', 'bacon'],
+            price: 50,
+            image: 'ORDERING/ORDERING 16.jpg',
+            category: 'sandwiches',
+            sortOrder: 6
+        },
+
+        // ---------- BURGERS ----------
+        'mac-buza': {
+            name: 'MAC BUZA',
+            description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, MOUTH WATERING BEEF PATTY, EGG, CHEESE AND SIDE CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['burger-bun', 'lettuce', 'tomato', 'cucumber', 'beef-patty', 'egg', 'cheese', 'chips'],
+            price: 43,
+            image: 'ORDERING/ORDERING 18.jpg',
+            category: 'burgers',
+            sortOrder: 1
+        },
+        'mac-love': {
+            name: 'MAC LOVE',
+            description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, MOUTH WATERING BEEF PATTY, EGG, CHEESE, GRILLED BACON AND SIDE CHIPS.(EXCLUDING THE DRINK)',
+            ingredients: ['burger-bun', 'lettuce', 'tomato', 'cucumber', 'beef-patty', 'egg', 'cheese', 'bacon', 'chips'],
+            price: 48,
+            image: 'ORDERING/ORDERING 4.jpg',
+            category: 'burgers',
+            sortOrder: 2
+        },
+        'kediboni': {
+            name: 'KEDIBONI',
+            description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, CRISPY FRIED CHICKEN FILLET, EGG, CHEESE, SIDE CHIPS AND ONION RINGS.(EXCLUDING THE DRINK)',
+            ingredients: ['burger-bun', 'lettuce', 'tomato', 'cucumber', 'chicken', 'egg', 'cheese', 'chips', 'onion-rings'],
+            price: 53,
+            image: 'ORDERING/ORDERING 25.jpg',
+            category: 'burgers',
+            sortOrder: 3
+        },
+        'mac-gee': {
+            name: 'MAC GEE',
+            description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, MOUTH WATERING BEEF PATTY X2, EGG, CHEESE X2, GRILLED BACON X2, SIDE CHIPS AND ONION RINGS.(EXCLUDING THE DRINK)',
+            ingredients: ['burger-bun', 'lettuce', 'tomato', 'cucumber', 'beef-patty', 'egg', 'cheese', 'bacon', 'chips', 'onion-rings'],
+            price: 70,
+            image: 'ORDERING/ORDERING 15.jpg',
+            category: 'burgers',
+            sortOrder: 4
+        },
+
+        // ---------- CHIPS ----------
+        // `price` is the default (first) size; see getVariants
+        'chips': {
+            name: 'CHIPS',
+            description: 'Delicious golden fries served with our special sauce.',
+            ingredients: ['chips'],
+            price: 25,
+            variants: [
+                { id: 'small', label: 'Small', price: 25 },
+                { id: 'medium', label: 'Medium', price: 30 },
+                { id: 'large', label: 'Large', price: 40 }
+            ],
+            image: 'ORDERING/ORDERING 12.jpg',
+            category: 'extras',
+            sortOrder: 1
+        }
+    },
+
+    // Serving times a product can be limited to with `availableHours: '<id>'`.
+    // Shop time (Johannesburg). days: JS weekdays (0 = Sunday), omit for
+    // every day; a `to` earlier than `from` runs past midnight.
+    servingTimes: {
+        'breakfast': { label: 'Breakfast', windows: [{ from: '09:00', to: '12:00' }] }
+    },
+
+    // Old product ids that are now a size of another product (saved carts,
+    // order history and bookmarked product links)
+    legacyProducts: {
+        'small-chips': { productId: 'chips', variant: 'small' },
+        'medium-chips': { productId: 'chips', variant: 'medium' },
+        'large-chips': { productId: 'chips', variant: 'large' }
+    },
+
+    // Add-ons offered on the product page
+    extras: [
+        { name: 'Cheese', price: 6 },
+        { name: 'Fried Egg', price: 7 },
+        { name: 'Avocado', price: 10 },
+        { name: 'Vienna', price: 15 },
+        { name: 'Bacon', price: 15 },
+        { name: 'Russian Sausage', price: 25 },
+        { name: 'Beef Burger Patty', price: 27 },
+        { name: 'Crispy Chicken Fillet', price: 30 }
+    ],
+
+    drinks: [
+        { name: 'Coke 500ml', price: 15 },
+        { name: 'Fanta 500ml', price: 15 },
+        { name: 'Sprite 500ml', price: 15 },
+        { name: 'Spa Leta 500ml', price: 15 },
+        { name: 'Pepsi', price: 12 },
+        { name: 'Flavoured Sparkling Water 500ml', price: 12 },
+        { name: 'Fruit Juice 300ml', price: 15 }
+    ],
+
+    // Sauces for the "Custom Selection" sauce choice
+    sauces: ['Tomato Sauce', 'Chili Sauce', 'BBQ Sauce', 'Mayo & Herbs', 'Mango Salad (Atchaar)'],
+
+    // Product-page choices. A product uses its category's groups
+    // (categoryModifiers) unless it lists its own `modifiers`.
+    //   type:       'greens' (with/without), 'sauce' (none/all/custom),
+    //               'extras' or 'drinks' (priced add-ons with steppers)
+    //   required:   greens/sauce must be answered; extras/drinks need
+    //               at least `min` picks
+    //   min / max:  total picks in the group (custom sauces, or add-on
+    //               units per item)
+    //   items:      add-ons offered (names from extras/drinks; omit for all)
+    //   maxPerItem: default cap per add-on; `limits` overrides by name
+    modifierGroups: {
+        'greens': { type: 'greens', label: 'Greens', icon: 'fas fa-leaf', required: true },
+        'sauce': { type: 'sauce', label: 'Sauce', icon: 'fas fa-flask', required: true, min: 1, max: 3 },
+        'kota-extras': {
+            type: 'extras',
+            label: 'Add Extras',
+            icon: 'fas fa-plus-circle',
+            required: false,
+            max: 6,
+            maxPerItem: 3,
+            limits: { 'Beef Burger Patty': 2, 'Crispy Chicken Fillet': 2 }
+        },
+        'sandwich-extras': {
+            type: 'extras',
+            label: 'Add Extras',
+            icon: 'fas fa-plus-circle',
+            required: false,
+            max: 4,
+            maxPerItem: 2,
+            items: ['Cheese', 'Fried Egg', 'Avocado', 'Vienna', 'Bacon', 'Russian Sausage']
+        },
+        'burger-extras': {
+            type: 'extras',
+            label: 'Add Extras',
+            icon: 'fas fa-plus-circle',
+            required: false,
+            max: 4,
+            maxPerItem: 2,
+            items: ['Cheese', 'Fried Egg', 'Avocado', 'Bacon', 'Beef Burger Patty', 'Crispy Chicken Fillet']
+        },
+        'drinks': { type: 'drinks', label: 'Add Drinks', icon: 'fas fa-wine-bottle', required: false, maxPerItem: 10 }
+    },
+
+    // Burgers come with lettuce (see "Leave out"), not greens; chips only
+    // take a sauce and a drink
+    categoryModifiers: {
+        kota: ['greens', 'sauce', 'kota-extras', 'drinks'],
+        sandwiches: ['greens', 'sauce', 'sandwich-extras', 'drinks'],
+        burgers: ['sauce', 'burger-extras', 'drinks'],
+        extras: ['sauce', 'drinks']
+    },
+
+    // Allergen / dietary tags carried by ingredients, in badge order
+    allergens: [
+        { id: 'gluten', label: 'Gluten' },
+        { id: 'egg', label: 'Egg' },
+        { id: 'dairy', label: 'Dairy' },
+        { id: 'pork', label: 'Pork' }
+    ],
+
+    // Ingredients referenced by products[].ingredients. When unsure, tag
+    // it: a false "contains" is safer than a missed allergen. `filter`
+    // lists the ingredient in the menu's "contains" filter;
+    // `removable: false` hides it from the product page's "Leave out"
+    // choices (the bread, and greens which have their own option).
+    ingredients: {
+        'bread': { name: 'Fresh bread', allergens: ['gluten'], removable: false },
+        'toasted-bread': { name: 'Toasted bread', allergens: ['gluten'], removable: false },
+        'burger-bun': { name: 'Burger bun', allergens: ['gluten'], removable: false },
+        'greens': { name: 'Greens', allergens: [], removable: false },
+        'lettuce': { name: 'Lettuce', allergens: [] },
+        'tomato': { name: 'Tomato', allergens: [] },
+        'cucumber': { name: 'Cucumber', allergens: [] },
+        'polony': { name: 'Polony', allergens: ['pork', 'gluten'], filter: true },
+        'special': { name: 'Special', allergens: ['pork', 'gluten'] },
+        'egg': { name: 'Egg', allergens: ['egg'], filter: true },
+        'cheese': { name: 'Cheese', allergens: ['dairy'], filter: true },
+        'vienna': { name: 'Vienna', allergens: ['pork'], filter: true },
+        'bacon': { name: 'Bacon', allergens: ['pork'], filter: true },
+        'russian': { name: 'Russian sausage', allergens: ['pork'], filter: true },
+        'beef-patty': { name: 'Beef patty', allergens: ['gluten'], filter: true },
+        'chicken': { name: 'Crispy chicken fillet', allergens: ['gluten'], filter: true },
+        'onion-rings': { name: 'Onion rings', allergens: ['gluten'] },
+        'chips': { name: 'Chips', allergens: [] }
+    },
+
+    // Meal deals, detected from cart contents (CartManager.getAppliedCombos).
+    // Each component is filled by one unit in the cart: a product by
+    // category or id, or a drink picked on any item. Price a deal with
+    // `saving` (rand off the components) or `price` (fixed bundle price).
+    // Deals come off every matching cart automatically, so only the shop
+    // adds them, e.g.
+    //   {
+    //       id: 'sandwich-meal',
+    //       name: 'Sandwich Meal',
+    //       description: 'Any sandwich + any chips + a 500ml drink',
+    //       components: [
+    //           { label: 'Sandwich', categories: ['sandwiches'] },
+    //           { label: 'Chips', productIds: ['chips'] },
+    //           { label: '500ml drink', drinks: ['Coke 500ml', 'Fanta 500ml', 'Sprite 500ml'] }
+    //       ],
+    //       saving: 10
+    //   }
+    combos: [],
+
+    // Look up a single product (returns null for unknown ids)
+    getProduct: function(productId) {
+        if (!productId || !Object.prototype.hasOwnProperty.call(this.products, productId)) {
+            return null;
+        }
+        return { id: productId, ...this.products[productId] };
+    },
+
+    // Categories sorted for display
+    getCategories: function() {
+        return this.categories.slice().sort((a, b) => a.sortOrder - b.sortOrder);
+    },
+
+    // Products in one category, sorted for display
+    getProductsByCategory: function(categoryId) {
+        return Object.keys(this.products)
+            .filter(id => this.products[id].category === categoryId)
+            .map(id => this.getProduct(id))
+            .sort((a, b) => a.sortOrder - b.sortOrder);
+    },
+
+    // Products flagged for the "Popular Picks" section
+    getPopularProducts: function() {
+        return Object.keys(this.products)
+            .filter(id => this.products[id].popular)
+            .map(id => this.getProduct(id))
+            .sort((a, b) => a.popular.sortOrder - b.popular.sortOrder);
+    },
+
+    // Sizes a product comes in: [{ id, label, price }], default first,
+    // from the product's own `variants` (absolute prices). Empty for
+    // single-size products.
+    getVariants: function(productId) {
+        const product = this.products[productId];
+        if (!product || !Array.isArray(product.variants)) return [];
+
+        return product.variants.map(variant => ({ id: variant.id, label: variant.label, price: variant.price }));
+    },
+
+    // A size by id, or the default size when no id is given. Null when
+    // the product has no sizes or the size is no longer offered.
+    getVariant: function(productId, variantId) {
+        const variants = this.getVariants(productId);
+        if (!variantId) return variants[0] || null;
+        return variants.find(variant => variant.id === variantId) || null;
+    },
+
+    // Menu card price: "R25", or "From R25" when sizes differ in price
+    getPriceLabel: function(productId) {
+        const product = this.getProduct(productId);
+        if (!product) return '';
+
+        const prices = this.getVariants(productId).map(variant => variant.price);
+        if (prices.length > 1 && Math.min(...prices) !== Math.max(...prices)) {
+            return `From ${this.formatPrice(Math.min(...prices))}`;
+        }
+        return this.formatPrice(product.price);
+    },
+
+    // ========== AVAILABILITY ==========
+
+    // Is a product/extra/drink entry flagged sold out right now?
+    isSoldOut: function(entry, date = new Date()) {
+        if (!entry) return false;
+        if (entry.soldOut) return true;
+        if (!entry.soldOutUntil) return false;
+
+        const now = ShopHours.getZonedParts(date);
+        return `${now.dateKey}T${ShopHours.formatClock(now.minutes)}` < entry.soldOutUntil;
+    },
+
+    isProductSoldOut: function(productId, date = new Date()) {
+        return this.isSoldOut(this.products[productId], date);
+    },
+
+    isExtraSoldOut: function(name, date = new Date()) {
+        return this.isSoldOut(this.getExtra(name), date);
+    },
+
+    isDrinkSoldOut: function(name, date = new Date()) {
+        return this.isSoldOut(this.getDrink(name), date);
+    },
+
+    // Can the product be ordered at this time? (always, without availableHours)
+    isAvailableAt: function(productId, date = new Date()) {
+        const product = this.products[productId];
+        const serving = product && this.servingTimes[product.availableHours];
+        if (!serving) return true;
+
+        const now = ShopHours.getZonedParts(date);
+        const yesterday = (now.weekday + 6) % 7;
+
+        return serving.windows.some(span => {
+            const from = ShopHours.parseTime(span.from);
+            const to = ShopHours.parseTime(span.to);
+            const onDay = weekday => !Array.isArray(span.days) || span.days.includes(weekday);
+
+            if (from < to) return onDay(now.weekday) && now.minutes >= from && now.minutes < to;
+            return (onDay(now.weekday) && now.minutes >= from) || (onDay(yesterday) && now.minutes < to);
+        });
+    },
+
+    // Size/greens/sauce/removal wording for a current-schema cart line;
+    // shared by the cart, the order message and the kitchen ticket
+    getOptionLabels: function(item) {
+        const options = item && item.options && typeof item.options === 'object' ? item.options : {};
+        const labels = { size: null, greens: null, sauces: null, removed: null };
+
+        if (item && item.variant && item.variant.label) {
+            labels.size = item.variant.label;
+        }
+
+        if (typeof options.greens === 'boolean') {
+            labels.greens = options.greens ? 'with greens' : 'no greens';
+        }
+
+        if (options.sauce === 'all') {
+            labels.sauces = 'all sauces';
+        } else if (options.sauce === 'custom' && Array.isArray(options.customSauces) && options.customSauces.length > 0) {
+            labels.sauces = options.customSauces.join(', ');
+        } else if (options.sauce) {
+            labels.sauces = 'no sauces';
+        }
+
+        if (Array.isArray(options.removed) && options.removed.length > 0) {
+            labels.removed = options.removed
+                .map(id => {
+                    const ingredient = this.ingredients[id];
+                    return `no ${ingredient ? ingredient.name.toLowerCase() : id}`;
+                })
+                .join(', ');
+        }
+
+        return labels;
+    },
+
+    // "Breakfast 09:00-12:00", or with days: "Late-night Fri, Sat 20:00-22:30"
+    // (empty for products served all day)
+    getAvailabilityLabel: function(productId) {
+        const product = this.products[productId];
+        const serving = product && this.servingTimes[product.availableHours];
+        if (!serving) return '';
+
+        const times = serving.windows.map(span => {
+            const days = Array.isArray(span.days)
+                ? `${span.days.map(day => ShopHours.DAY_NAMES[day].slice(0, 3)).join(', ')} `
+                : '';
+            return `${days}${span.from}-${span.to}`;
+        });
+        return `${serving.label} ${times.join(' & ')}`;
+    },
+
+    // Current price of an extra/drink by name (null if no longer offered)
+    getExtra: function(name) {
+        return this.extras.find(extra => extra.name === name) || null;
+    },
+
+    getDrink: function(name) {
+        return this.drinks.find(drink => drink.name === name) || null;
+    },
+
+    // Resolved modifier groups for a product, in display order. Add-on
+    // groups carry `choices: [{ name, price, max, soldOut }]` at current prices.
+    getModifierGroups: function(productId) {
+        const product = this.products[productId];
+        if (!product) return [];
+
+        const groupIds = Array.isArray(product.modifiers)
+            ? product.modifiers
+            : this.categoryModifiers[product.category] || [];
+
+        return groupIds
+            .filter(id => this.modifierGroups[id])
+            .map(id => {
+                const group = { id, min: 0, ...this.modifierGroups[id] };
+                if (group.type === 'extras' || group.type === 'drinks') {
+                    const catalog = group.type === 'extras' ? this.extras : this.drinks;
+                    group.choices = catalog
+                        .filter(entry => !Array.isArray(group.items) || group.items.includes(entry.name))
+                        .map(entry => ({
+                            name: entry.name,
+                            price: entry.price,
+                            max: (group.limits && group.limits[entry.name]) || group.maxPerItem || 10,
+                            soldOut: this.isSoldOut(entry)
+                        }));
+                }
+                return group;
+            });
+    },
+
+    // Structured ingredients for a product: [{ id, name, allergens }]
+    getIngredients: function(productId) {
+        const product = this.products[productId];
+        if (!product || !Array.isArray(product.ingredients)) return [];
+        return product.ingredients
+            .filter(id => this.ingredients[id])
+            .map(id => ({ id, ...this.ingredients[id] }));
+    },
+
+    // Allergen tags a product carries: [{ id, label }] in badge order
+    getAllergens: function(productId) {
+        const tags = new Set(this.getIngredients(productId).flatMap(ingredient => ingredient.allergens));
+        return this.allergens.filter(allergen => tags.has(allergen.id));
+    },
+
+    // Options for the menu's "contains" filter: [{ id, label }]
+    getFilterableIngredients: function() {
+        return Object.keys(this.ingredients)
+            .filter(id => this.ingredients[id].filter)
+            .map(id => ({ id, label: this.ingredients[id].name }));
+    },
+
+    // Products matching every given filter, in menu order:
+    // { query, category, ingredient, exclude: [allergenId], minPrice, maxPrice }
+    // (all optional)
+    searchProducts: function(filters = {}) {
+        const words = String(filters.query || '').toUpperCase().split(/\s+/).filter(Boolean);
+        const exclude = Array.isArray(filters.exclude) ? filters.exclude : [];
+        const minPrice = parseFloat(filters.minPrice);
+        const maxPrice = parseFloat(filters.maxPrice);
+
+        return this.getCategories()
+            .filter(category => !filters.category || category.id === filters.category)
+            .flatMap(category => this.getProductsByCategory(category.id).map(product => ({ product, category })))
+            .filter(({ product, category }) => {
+                const text = `${product.name} ${product.description} ${category.label} ${category.itemLabel}`.toUpperCase();
+
+                if (!words.every(word => text.includes(word))) return false;
+                if (filters.ingredient && !(product.ingredients || []).includes(filters.ingredient)) return false;
+                if (exclude.length && this.getAllergens(product.id).some(allergen => exclude.includes(allergen.id))) return false;
+                // Any size in range counts
+                const prices = this.getVariants(product.id).map(variant => variant.price);
+                if (prices.length === 0) prices.push(product.price);
+                if (!prices.some(price => (isNaN(minPrice) || price >= minPrice) && (isNaN(maxPrice) || price <= maxPrice))) return false;
+                return true;
+            })
+            .map(({ product }) => product);
+    },
+
+    // Does a cart unit ({ productId } or { drink }) fill a combo component?
+    matchesComboComponent: function(component, unit) {
+        if (unit.drink) {
+            return Array.isArray(component.drinks) && component.drinks.includes(unit.drink);
+        }
+        const product = this.getProduct(unit.productId);
+        if (!product) return false;
+        return (Array.isArray(component.categories) && component.categories.includes(product.category)) ||
+            (Array.isArray(component.productIds) && component.productIds.includes(product.id));
+    },
+
+    // Combo whose main (first) component is this product, for the
+    // product-page upsell
+    getComboForProduct: function(productId) {
+        return this.combos.find(combo =>
+            this.matchesComboComponent(combo.components[0], { productId })
+        ) || null;
+    },
+
+    // Menu card price label ("R25", "R27.50")
+    formatPrice: function(price) {
+        const value = parseFloat(price) || 0;
+        return `R${Number.isInteger(value) ? value : value.toFixed(2)}`;
+    }
+};
+
+// Make MenuCatalog available globally
+window.MenuCatalog = MenuCatalog;
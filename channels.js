@@ -0,0 +1,242 @@
+// ============================================
+// ORDER CHANNELS (how a checked-out order reaches the shop)
+// ============================================
+// CartManager.buildOrder validates the checkout and produces one order
+// object; each channel only turns that object into a message and hands
+// it over. To add a channel, add an entry to `channels` with a label,
+// icon, button text and send(order).
+//
+// Order object:
+//   orderNumber, createdAt (ms), customer: { name, phone },
+//   fulfilment: { mode: 'collection' } | { mode: 'delivery', address, fee },
+//   pickup: { slot, label }, items (cart lines), totals (getOrderTotals),
+//   promoCode, instructions
+
+const OrderChannels = {
+    SHOP_PHONE: '27839679365',
+    SHOP_PHONE_DISPLAY: '+27 83 967 9365',
+    SHOP_EMAIL: 'kodijong32@gmail.com',
+    DEFAULT_CHANNEL: 'whatsapp',
+
+    channels: {
+        whatsapp: {
+            label: 'WhatsApp',
+            icon: 'fab fa-whatsapp',
+            buttonLabel: 'Send Order via WhatsApp',
+            sentMessage: 'WhatsApp is open with your order. Press send there to finish.',
+            send: function(order) {
+                const url = `https://wa.me/${OrderChannels.SHOP_PHONE}?text=${encodeURIComponent(OrderChannels.formatOrder(order))}`;
+                return OrderChannels._openWindow(url);
+            }
+        },
+        sms: {
+            label: 'SMS',
+            icon: 'fas fa-sms',
+            buttonLabel: 'Send Order via SMS',
+            sentMessage: 'Your SMS app is open with the order. Press send to finish.',
+            send: function(order) {
+                // "?&body=" is read by both Android and iOS messaging apps
+                const body = OrderChannels.formatOrder(order, { markup: false });
+                return OrderChannels._openHref(`sms:+${OrderChannels.SHOP_PHONE}?&body=${encodeURIComponent(body)}`);
+            }
+        },
+        email: {
+            label: 'Email',
+            icon: 'fas fa-envelope',
+            buttonLabel: 'Send Order via Email',
+            sentMessage: 'Your email app is open with the order. Press send to finish.',
+            send: function(order) {
+                const subject = `Kodijong order ${order.orderNumber}`;
+                const body = OrderChannels.formatOrder(order, { markup: false });
+                return OrderChannels._openHref(
+                    `mailto:${OrderChannels.SHOP_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`
+                );
+            }
+        },
+        call: {
+            label: 'Call',
+            icon: 'fas fa-phone',
+            buttonLabel: 'Call to Order',
+            sentMessage: 'Read your order out when we answer.',
+            send: function(order) {
+                OrderChannels.showCallScript(order);
+                return true;
+            }
+        }
+    },
+
+    getChannel: function(channelId) {
+        const channel = this.channels[channelId];
+        return channel ? { id: channelId, ...channel } : null;
+    },
+
+    getChannels: function() {
+        return Object.keys(this.channels).map(id => this.getChannel(id));
+    },
+
+    // ========== SELECTED CHANNEL ==========
+
+    getSelectedChannelId: function() {
+        try {
+            const saved = localStorage.getItem('kodijongOrderChannel');
+            return this.channels[saved] ? saved : this.DEFAULT_CHANNEL;
+        } catch (error) {
+            return this.DEFAULT_CHANNEL;
+        }
+    },
+
+    setSelectedChannelId: function(channelId) {
+        if (!this.channels[channelId]) return;
+        try {
+            localStorage.setItem('kodijongOrderChannel', channelId);
+        } catch (error) {
+            console.error('Error saving order channel:', error);
+        }
+    },
+
+    // ========== MESSAGE ==========
+
+    // Order text shared by every channel. markup: true keeps WhatsApp's
+    // *bold*; plain-text channels (SMS, email, read-out) drop it.
+    formatOrder: function(order, options = {}) {
+        const markup = options.markup !== false;
+        const bold = text => (markup ? `*${text}*` : text);
+        const clean = text => String(text || '').replace(/[*_~`]/g, '');
+        const rand = amount => (amount < 0 ? `-R${(-amount).toFixed(2)}` : `R${amount.toFixed(2)}`);
+
+        let message = `${bold('KODIJONG WEBSITE ORDER')}\n\n`;
+        message += `${bold('ORDER NO:')} ${order.orderNumber}\n`;
+        if (order.pickup) {
+            const timeLabel = order.fulfilment.mode === 'delivery' ? 'DELIVERY TIME:' : 'PICKUP:';
+            message += `🕒 ${bold(timeLabel)} ${order.pickup.label}\n`;
+        }
+        message += `\n`;
+        message += `${bold('CUSTOMER DETAILS:')}\n`;
+        message += `👤 ${bold('Name:')} ${clean(order.customer.name)}\n`;
+        message += `📞 ${bold('Phone:')} ${order.customer.phone}\n`;
+        if (order.fulfilment.mode === 'delivery') {
+            message += `🛵 ${bold('DELIVER TO:')} ${clean(order.fulfilment.address)}\n\n`;
+        } else {
+            message += `🏪 ${bold('COLLECTION')} at the shop\n\n`;
+        }
+        message += `${bold('ORDER SUMMARY:')}\n`;
+
+        order.items.forEach((item, i) => {
+            const quantity = parseInt(item.quantity, 10) || 1;
+            const itemTotal = (parseFloat(item.basePrice) || 0) * quantity;
+            const picked = list => (Array.isArray(list) ? list : [])
+                .filter(entry => (parseInt(entry.quantity, 10) || 0) > 0)
+                .map(entry => `${clean(entry.name)} x${parseInt(entry.quantity, 10)}`);
+
+            message += `\n${i + 1}. ${bold(clean(item.name))} x${quantity}`;
+            message += `\n💰 ${bold('Price:')} R${itemTotal.toFixed(2)}`;
+
+            const labels = CartManager.getOptionLabels(item);
+            if (labels.size) message += `\n📏 ${bold('Size:')} ${clean(labels.size)}`;
+            if (labels.greens) message += `\n🥬 ${bold('Greens:')} ${labels.greens}`;
+            if (labels.sauces) message += `\n🍶 ${bold('Sauces:')} ${clean(labels.sauces)}`;
+            if (labels.removed) message += `\n🚫 ${bold('Leave out:')} ${clean(labels.removed).toUpperCase()}`;
+
+            const extras = picked(item.extras);
+            if (extras.length > 0) message += `\n➕ ${bold('Extras:')} ${extras.join(', ')}`;
+            const drinks = picked(item.drinks);
+            if (drinks.length > 0) message += `\n🥤 ${bold('Drinks:')} ${drinks.join(', ')}`;
+
+            if (i < order.items.length - 1) {
+                message += `\n────────────────────`;
+            }
+        });
+
+        message += `\n`;
+        if (order.totals.lines.length > 0) {
+            message += `\n🧾 ${bold('Subtotal:')} R${order.totals.subtotal.toFixed(2)}`;
+            order.totals.lines.forEach(line => {
+                const icon = line.type === 'delivery' ? '🛵' : line.type === 'combo' ? '🍱' : '🏷️';
+                message += `\n${icon} ${bold(`${clean(line.label)}:`)} ${rand(line.amount)}`;
+            });
+            message += `\n`;
+        }
+        message += `\n💰 ${bold('TOTAL AMOUNT:')} R${order.totals.total.toFixed(2)}\n`;
+        message += `\n⏰ ${bold('Order Time:')} ${new Date(order.createdAt).toLocaleString('en-ZA', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        })}\n`;
+
+        if (order.instructions) {
+            message += `\n📝 ${bold('Special Instructions:')}\n${clean(order.instructions)}\n`;
+        }
+
+        message += `\n────────────────────\n`;
+        message += `${bold('KODIJONG THE FOOD HUB')}\n`;
+        message += `📍 ${window.DeliveryZones ? DeliveryZones.SHOP_ADDRESS : '232 Far East Bank, Sandton, 2014'}\n`;
+        message += `⏰ Open: ${window.ShopHours ? ShopHours.getWeeklySummary() : 'Mon-Sat'}\n`;
+        message += `📞 ${this.SHOP_PHONE_DISPLAY}\n\n`;
+        message += `✅ ${bold('We will contact you shortly to confirm your order!')}`;
+
+        return message;
+    },
+
+    // ========== HAND-OFF ==========
+
+    // New tab, falling back to this tab when pop-ups are blocked
+    _openWindow: function(url) {
+        try {
+            const newWindow = window.open(url, '_blank', 'noopener,noreferrer');
+            if (!newWindow || newWindow.closed || typeof newWindow.closed === 'undefined') {
+                window.location.href = url;
+                setTimeout(() => {
+                    CartManager.showNotification('Please allow pop-ups or click the link manually', 'error');
+                }, 1000);
+            }
+        } catch (error) {
+            console.error('Error opening order window:', error);
+            window.location.href = url;
+        }
+        return true;
+    },
+
+    // sms:/mailto:/tel: links hand over to an app without leaving the page
+    _openHref: function(url) {
+        try {
+            window.location.href = url;
+            return true;
+        } catch (error) {
+            console.error('Error opening order link:', error);
+            return false;
+        }
+    },
+
+    // "Call and read out": the order as a script next to a tap-to-call link
+    showCallScript: function(order) {
+        let overlay = document.getElementById('call-readout');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'call-readout';
+            overlay.className = 'call-readout-backdrop';
+            overlay.addEventListener('click', function(e) {
+                if (e.target === overlay || e.target.closest('.call-readout-close')) {
+                    overlay.hidden = true;
+                }
+            });
+            document.body.appendChild(overlay);
+        }
+
+        const script = this.formatOrder(order, { markup: false }).replace(/[<>]/g, '');
+        overlay.innerHTML = `
+            <div class="call-readout" role="dialog" aria-modal="true" aria-labelledby="call-readout-title">
+                <h3 id="call-readout-title"><i class="fas fa-phone"></i> Call us to order</h3>
+                <p>Tap to call, then read this out when we answer.</p>
+                <a class="call-readout-btn" href="tel:+${this.SHOP_PHONE}"><i class="fas fa-phone"></i> Call ${this.SHOP_PHONE_DISPLAY}</a>
+                <pre class="call-readout-script">${script}</pre>
+                <button type="button" class="call-readout-close">Close</button>
+            </div>
+        `;
+        overlay.hidden = false;
+    }
+};
+
+// Make OrderChannels available globally
+window.OrderChannels = OrderChannels;
@@ -0,0 +1,58 @@
+// ============================================
+// DELIVERY ZONES (fees by suburb)
+// ============================================
+// Suburbs are grouped into rings by rough road distance from the shop
+// (232 Far East Bank, Sandton). To change a fee, edit the zone; to
+// start delivering somewhere new, add the suburb to a zone.
+
+const DeliveryZones = {
+    SHOP_ADDRESS: '232 Far East Bank, Sandton, 2014',
+
+    zones: [
+        {
+            id: 'zone-1',
+            label: 'Up to 3 km',
+            fee: 20,
+            suburbs: ['Alexandra', 'Far East Bank', 'Kew', 'Marlboro', 'Marlboro Gardens', 'Wynberg']
+        },
+        {
+            id: 'zone-2',
+            label: '3 - 6 km',
+            fee: 30,
+            suburbs: ['Bramley', 'Gallo Manor', 'Kelvin', 'Linbro Park', 'Lombardy East', 'Sandown', 'Sandton CBD', 'Strathavon', 'Wendywood']
+        },
+        {
+            id: 'zone-3',
+            label: '6 - 10 km',
+            fee: 45,
+            suburbs: ['Bryanston', 'Illovo', 'Morningside', 'Parkmore', 'Rivonia', 'Rosebank', 'Sunninghill', 'Woodmead']
+        }
+    ],
+
+    // Zone for a suburb name (case-insensitive), or null if we don't deliver there
+    getZoneForSuburb: function(suburb) {
+        const wanted = String(suburb || '').trim().toLowerCase();
+        if (!wanted) return null;
+
+        return this.zones.find(zone =>
+            zone.suburbs.some(name => name.toLowerCase() === wanted)
+        ) || null;
+    },
+
+    // Delivery fee in rand, or null when the suburb is outside every zone
+    getFee: function(suburb) {
+        const zone = this.getZoneForSuburb(suburb);
+        return zone ? zone.fee : null;
+    },
+
+    // "12 Main Rd, Unit 4, Marlboro"
+    formatAddress: function(address) {
+        return [address.street, address.unit, address.suburb]
+            .map(part => String(part || '').trim())
+            .filter(Boolean)
+            .join(', ');
+    }
+};
+
+// Make DeliveryZones available globally
+window.DeliveryZones = DeliveryZones;
@@ -0,0 +1,289 @@
+// ============================================
+// OPENING HOURS (Africa/Johannesburg time)
+// ============================================
+// Weekly schedule plus public-holiday/one-off overrides. All times are
+// shop-local (SAST, UTC+2, no daylight saving) regardless of where the
+// customer's device thinks it is.
+
+const ShopHours = {
+    TIME_ZONE: 'Africa/Johannesburg',
+    UTC_OFFSET_MINUTES: 120, // Fallback when Intl time zones are unavailable
+
+    // Refuse checkout while closed (false = warn and let the customer continue)
+    blockOrdersWhenClosed: true,
+
+    // Index = JS weekday (0 = Sunday). null = closed all day.
+    weekly: [
+        null,
+        { open: '09:00', close: '20:30' },
+        { open: '09:00', close: '21:30' },
+        { open: '09:00', close: '21:30' },
+        { open: '09:00', close: '21:30' },
+        { open: '09:00', close: '22:00' },
+        { open: '09:00', close: '22:30' }
+    ],
+
+    // Hours on South African public holidays: 'weekly' = the normal hours
+    // for that weekday, { open, close } = special hours, null = closed
+    publicHolidayHours: 'weekly',
+
+    // One-off dates that beat both the weekly schedule and holidays
+    // e.g. '2026-12-24': { open: '09:00', close: '18:00', label: 'Christmas Eve' }
+    //      '2026-11-02': { closed: true, label: 'Stocktake' }
+    overrides: {},
+
+    DAY_NAMES: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+
+    // ========== TIME HELPERS ==========
+
+    // Shop-local calendar parts for an instant
+    getZonedParts: function(date = new Date()) {
+        try {
+            const parts = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.TIME_ZONE,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(date).reduce((acc, part) => {
+                acc[part.type] = part.value;
+                return acc;
+            }, {});
+
+            return this._partsFromYmd(
+                parseInt(parts.year, 10),
+                parseInt(parts.month, 10),
+                parseInt(parts.day, 10),
+                parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+            );
+        } catch (error) {
+            const shifted = new Date(date.getTime() + this.UTC_OFFSET_MINUTES * 60000);
+            return this._partsFromYmd(
+                shifted.getUTCFullYear(),
+                shifted.getUTCMonth() + 1,
+                shifted.getUTCDate(),
+                shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+            );
+        }
+    },
+
+    _partsFromYmd: function(year, month, day, minutes = 0) {
+        const utc = new Date(Date.UTC(year, month - 1, day));
+        return {
+            year: utc.getUTCFullYear(),
+            month: utc.getUTCMonth() + 1,
+            day: utc.getUTCDate(),
+            weekday: utc.getUTCDay(),
+            minutes,
+            dateKey: utc.toISOString().slice(0, 10)
+        };
+    },
+
+    // Same shop-local calendar day shifted by n days (time reset to 00:00)
+    addDays: function(parts, days) {
+        return this._partsFromYmd(parts.year, parts.month, parts.day + days);
+    },
+
+    // Instant for a shop-local date + minutes after midnight
+    toDate: function(parts, minutes) {
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day) + (minutes - this.UTC_OFFSET_MINUTES) * 60000);
+    },
+
+    parseTime: function(value) {
+        const [hours, minutes] = String(value).split(':').map(n => parseInt(n, 10) || 0);
+        return hours * 60 + minutes;
+    },
+
+    // 1290 -> "21:30"
+    formatClock: function(minutes) {
+        const h = Math.floor(minutes / 60) % 24;
+        const m = minutes % 60;
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    },
+
+    // 540 -> "9AM", 1230 -> "8:30PM"
+    formatShort: function(minutes) {
+        const h = Math.floor(minutes / 60) % 24;
+        const m = minutes % 60;
+        const suffix = h < 12 ? 'AM' : 'PM';
+        const hour12 = h % 12 === 0 ? 12 : h % 12;
+        return `${hour12}${m ? `:${String(m).padStart(2, '0')}` : ''}${suffix}`;
+    },
+
+    // ========== PUBLIC HOLIDAYS ==========
+
+    _holidayCache: {},
+
+    // Public Holidays Act: fixed dates, Easter-based days, and a holiday
+    // falling on Sunday moves to the Monday.
+    getPublicHolidays: function(year) {
+        if (this._holidayCache[year]) return this._holidayCache[year];
+
+        const holidays = {};
+        const add = (parts, label) => {
+            holidays[parts.dateKey] = label;
+            if (parts.weekday === 0) {
+                const monday = this.addDays(parts, 1);
+                if (!holidays[monday.dateKey]) holidays[monday.dateKey] = `${label} (observed)`;
+            }
+        };
+
+        [
+            [1, 1, "New Year's Day"],
+            [3, 21, 'Human Rights Day'],
+            [4, 27, 'Freedom Day'],
+            [5, 1, "Workers' Day"],
+            [6, 16, 'Youth Day'],
+            [8, 9, "National Women's Day"],
+            [9, 24, 'Heritage Day'],
+            [12, 16, 'Day of Reconciliation'],
+            [12, 25, 'Christmas Day'],
+            [12, 26, 'Day of Goodwill']
+        ].forEach(([month, day, label]) => add(this._partsFromYmd(year, month, day), label));
+
+        const easter = this._easterSunday(year);
+        add(this.addDays(easter, -2), 'Good Friday');
+        add(this.addDays(easter, 1), 'Family Day');
+
+        this._holidayCache[year] = holidays;
+        return holidays;
+    },
+
+    // Anonymous Gregorian algorithm
+    _easterSunday: function(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return this._partsFromYmd(year, month, day);
+    },
+
+    // ========== SCHEDULE ==========
+
+    // Regular hours for a weekday, ignoring holidays/overrides
+    getWeeklyHours: function(weekday) {
+        const hours = this.weekly[weekday];
+        if (!hours) return { open: null, close: null, label: null, closed: true };
+        return { open: this.parseTime(hours.open), close: this.parseTime(hours.close), label: null, closed: false };
+    },
+
+    // Effective hours for a shop-local day: { open, close, label, closed }
+    // with times in minutes after midnight
+    getDayHours: function(parts) {
+        const override = this.overrides[parts.dateKey];
+        const holiday = this.getPublicHolidays(parts.year)[parts.dateKey];
+        let hours;
+        let label = null;
+
+        if (override) {
+            hours = override.closed ? null : override;
+            label = override.label || null;
+        } else if (holiday) {
+            hours = this.publicHolidayHours === 'weekly' ? this.weekly[parts.weekday] : this.publicHolidayHours;
+            label = holiday;
+        } else {
+            hours = this.weekly[parts.weekday];
+        }
+
+        if (!hours) return { open: null, close: null, label, closed: true };
+        return {
+            open: this.parseTime(hours.open),
+            close: this.parseTime(hours.close),
+            label,
+            closed: false
+        };
+    },
+
+    // Live status: { isOpen, closesAt, nextOpen, label, today }
+    getStatus: function(date = new Date()) {
+        const now = this.getZonedParts(date);
+        const today = this.getDayHours(now);
+        const isOpen = !today.closed && now.minutes >= today.open && now.minutes < today.close;
+
+        if (isOpen) {
+            return {
+                isOpen: true,
+                closesAt: today.close,
+                nextOpen: null,
+                today,
+                label: `Open now · Closes at ${this.formatClock(today.close)}`
+            };
+        }
+
+        const nextOpen = this.getNextOpening(date);
+        let when = 'soon';
+        if (nextOpen) {
+            const dayLabel = nextOpen.dayOffset === 0 ? 'today'
+                : nextOpen.dayOffset === 1 ? 'tomorrow'
+                : this.DAY_NAMES[nextOpen.weekday];
+            when = `${dayLabel} ${this.formatShort(nextOpen.minutes)}`;
+        }
+
+        return {
+            isOpen: false,
+            closesAt: null,
+            nextOpen,
+            today,
+            label: `Closed · Opens ${when}`
+        };
+    },
+
+    // Next opening after `date` within two weeks (null if none configured)
+    getNextOpening: function(date = new Date()) {
+        const now = this.getZonedParts(date);
+
+        for (let offset = 0; offset <= 14; offset++) {
+            const day = this.addDays(now, offset);
+            const hours = this.getDayHours(day);
+            if (hours.closed) continue;
+            if (offset === 0 && now.minutes >= hours.open) continue;
+
+            return { ...day, minutes: hours.open, dayOffset: offset };
+        }
+        return null;
+    },
+
+    isOpen: function(date = new Date()) {
+        return this.getStatus(date).isOpen;
+    },
+
+    // "Mon 9AM-8:30PM, Tue-Thu 9AM-9:30PM, ... Sun closed"
+    getWeeklySummary: function() {
+        const order = [1, 2, 3, 4, 5, 6, 0];
+        const describe = hours => hours
+            ? `${this.formatShort(this.parseTime(hours.open))}-${this.formatShort(this.parseTime(hours.close))}`
+            : 'closed';
+        const groups = [];
+
+        order.forEach(weekday => {
+            const text = describe(this.weekly[weekday]);
+            const last = groups[groups.length - 1];
+            if (last && last.text === text) {
+                last.to = weekday;
+            } else {
+                groups.push({ from: weekday, to: weekday, text });
+            }
+        });
+
+        return groups.map(group => {
+            const from = this.DAY_NAMES[group.from].slice(0, 3);
+            const to = this.DAY_NAMES[group.to].slice(0, 3);
+            return `${group.from === group.to ? from : `${from}-${to}`} ${group.text}`;
+        }).join(', ');
+    }
+};
+
+// Make ShopHours available globally
+window.ShopHours = ShopHours;
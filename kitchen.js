@@ -0,0 +1,268 @@
+// ============================================
+// KITCHEN DISPLAY (kitchen.html)
+// ============================================
+// Polls the order-submission endpoint (OrderSubmission.getEndpoint()) and
+// shows every order as a ticket. Tapping a ticket's big button moves it
+// new -> preparing -> ready -> collected with PATCH <endpoint>/<key>
+// { status }; collected tickets drop off the board, as do cancelled ones
+// (the customer never sent the order to the shop). New tickets flash
+// until someone taps them, and beep once sound has been switched on
+// (browsers only allow audio after a tap).
+//
+// Try it locally with `node tools/mock-order-server.js`.
+
+const KitchenDisplay = {
+    POLL_MS: 5000,
+    STATUSES: ['new', 'preparing', 'ready', 'collected'],
+    STATUS_LABELS: { new: 'New', preparing: 'Preparing', ready: 'Ready', collected: 'Collected' },
+    ACTION_LABELS: { new: 'Start preparing', preparing: 'Mark ready', ready: 'Collected' },
+
+    _orders: [],
+    _seen: null,       // Idempotency keys already on the board (null until first load)
+    _fresh: new Set(), // New tickets nobody has touched yet; they keep flashing
+    _timer: null,
+    _audio: null,
+    _soundOn: false,
+    _updating: {},     // key -> true while a status change is in flight
+
+    // ========== DATA ==========
+
+    _fetchOrders: async function() {
+        const response = await fetch(OrderSubmission.getEndpoint(), { headers: { Accept: 'application/json' } });
+        if (!response.ok) throw new Error(`Server replied ${response.status}`);
+        const orders = await response.json();
+        return Array.isArray(orders) ? orders : [];
+    },
+
+    refresh: async function() {
+        clearTimeout(this._timer);
+
+        try {
+            const orders = await this._fetchOrders();
+            const fresh = this._seen
+                ? orders.filter(order => order.status === 'new' && !this._seen.has(order.idempotencyKey))
+                : [];
+
+            this._seen = new Set(orders.map(order => order.idempotencyKey));
+            this._orders = orders;
+            fresh.forEach(order => this._fresh.add(order.idempotencyKey));
+            this.setConnection(true);
+            this.render();
+
+            if (fresh.length > 0) this.beep();
+        } catch (error) {
+            console.error('Error loading kitchen orders:', error);
+            this.setConnection(false, error.message);
+        }
+
+        this._timer = setTimeout(() => this.refresh(), this.POLL_MS);
+    },
+
+    nextStatus: function(status) {
+        const index = this.STATUSES.indexOf(status);
+        return index >= 0 && index < this.STATUSES.length - 1 ? this.STATUSES[index + 1] : null;
+    },
+
+    previousStatus: function(status) {
+        const index = this.STATUSES.indexOf(status);
+        return index > 0 ? this.STATUSES[index - 1] : null;
+    },
+
+    setStatus: async function(key, status) {
+        if (this._updating[key] || !this.STATUSES.includes(status)) return;
+        this._updating[key] = true;
+        this._fresh.delete(key);
+        this.render();
+
+        try {
+            const response = await fetch(`${OrderSubmission.getEndpoint().replace(/\/$/, '')}/${encodeURIComponent(key)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status })
+            });
+            if (!response.ok) throw new Error(`Server replied ${response.status}`);
+
+            this._orders = this._orders.map(order => (order.idempotencyKey === key ? { ...order, status } : order));
+        } catch (error) {
+            console.error('Error updating ticket:', error);
+            this.setConnection(false, 'Could not update that ticket - tap again');
+        } finally {
+            delete this._updating[key];
+            this.render();
+        }
+    },
+
+    // ========== RENDERING ==========
+
+    _escape: function(text) {
+        return String(text == null ? '' : text).replace(/[<>]/g, '').replace(/"/g, '&quot;');
+    },
+
+    _time: function(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleTimeString('en-ZA', { hour: '2-digit', minute: '2-digit' });
+    },
+
+    // Option wording from MenuCatalog.getOptionLabels, as in the cart and
+    // the order message; leave-outs in capitals like the WhatsApp message
+    _lineDetails: function(item) {
+        const labels = MenuCatalog.getOptionLabels(item);
+        const details = [];
+        const picked = list => (Array.isArray(list) ? list : [])
+            .filter(entry => (parseInt(entry.quantity, 10) || 0) > 0)
+            .map(entry => `${entry.name} x${parseInt(entry.quantity, 10)}`);
+
+        if (labels.size) details.push({ icon: '📏', text: labels.size });
+        if (labels.greens) details.push({ icon: '🥬', text: labels.greens });
+        if (labels.sauces) details.push({ icon: '🍶', text: labels.sauces });
+        if (labels.removed) details.push({ icon: '🚫', text: labels.removed.toUpperCase(), warn: true });
+
+        const extras = picked(item.extras);
+        if (extras.length > 0) details.push({ icon: '➕', text: extras.join(', ') });
+        const drinks = picked(item.drinks);
+        if (drinks.length > 0) details.push({ icon: '🥤', text: drinks.join(', ') });
+
+        return details;
+    },
+
+    renderTicket: function(order) {
+        const key = this._escape(order.idempotencyKey);
+        const status = this.STATUSES.includes(order.status) ? order.status : 'new';
+        const next = this.nextStatus(status);
+        const previous = this.previousStatus(status);
+        const busy = Boolean(this._updating[order.idempotencyKey]);
+        const delivery = order.fulfilment && order.fulfilment.mode === 'delivery';
+
+        const lines = (Array.isArray(order.items) ? order.items : []).map(item => `
+            <li class="ticket-line">
+                <div class="ticket-line-name"><span class="ticket-line-qty">${parseInt(item.quantity, 10) || 1}×</span> ${this._escape(item.name)}</div>
+                ${this._lineDetails(item).map(detail => `
+                    <div class="ticket-line-detail${detail.warn ? ' ticket-line-warn' : ''}">${detail.icon} ${this._escape(detail.text)}</div>
+                `).join('')}
+            </li>
+        `).join('');
+
+        return `
+            <article class="kitchen-ticket is-${status}${this._fresh.has(order.idempotencyKey) ? ' is-fresh' : ''}" data-key="${key}">
+                <header class="ticket-header">
+                    <span class="ticket-number">${this._escape(order.orderNumber)}</span>
+                    <span class="ticket-status">${this.STATUS_LABELS[status]}</span>
+                </header>
+                <div class="ticket-meta">
+                    <div>🕒 ${this._escape(order.pickup && order.pickup.label ? order.pickup.label : 'ASAP')}</div>
+                    <div>${delivery ? '🛵 Delivery' : '🏪 Collection'} · ${this._escape(order.customer ? order.customer.name : '')}</div>
+                    <div class="ticket-received">Received ${this._time(order.receivedAt || order.createdAt)}</div>
+                </div>
+                <ul class="ticket-lines">${lines}</ul>
+                ${order.instructions ? `<div class="ticket-instructions">📝 ${this._escape(order.instructions)}</div>` : ''}
+                <div class="ticket-actions">
+                    ${previous ? `<button type="button" class="ticket-back" data-key="${key}" data-status="${previous}" ${busy ? 'disabled' : ''} aria-label="Move back to ${this.STATUS_LABELS[previous]}"><i class="fas fa-undo"></i></button>` : ''}
+                    ${next ? `<button type="button" class="ticket-advance" data-key="${key}" data-status="${next}" ${busy ? 'disabled' : ''}>${this.ACTION_LABELS[status]}</button>` : ''}
+                </div>
+            </article>
+        `;
+    },
+
+    render: function() {
+        const board = document.getElementById('kitchenBoard');
+        if (!board) return;
+
+        // Oldest first, so the ticket that has waited longest is top left
+        const active = this._orders
+            .filter(order => order.status !== 'collected' && order.status !== 'cancelled')
+            .sort((a, b) => new Date(a.receivedAt || a.createdAt) - new Date(b.receivedAt || b.createdAt));
+
+        board.innerHTML = active.length > 0
+            ? active.map(order => this.renderTicket(order)).join('')
+            : '<p class="kitchen-empty">No open orders. New tickets appear here automatically.</p>';
+
+        ['new', 'preparing', 'ready'].forEach(status => {
+            const count = document.querySelector(`.kitchen-count[data-status="${status}"] strong`);
+            if (count) count.textContent = active.filter(order => (order.status || 'new') === status).length;
+        });
+    },
+
+    setConnection: function(ok, message) {
+        const banner = document.getElementById('kitchenConnection');
+        if (!banner) return;
+
+        banner.hidden = ok;
+        banner.textContent = ok ? '' : `⚠️ ${message || 'Cannot reach the order server'} - retrying`;
+    },
+
+    // ========== SOUND ==========
+
+    // Unlocked by a tap on the sound button; without it new tickets only flash
+    toggleSound: function() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+
+        if (!this._audio) this._audio = new AudioContext();
+        if (this._audio.state === 'suspended') this._audio.resume();
+        this._soundOn = !this._soundOn;
+
+        const button = document.getElementById('kitchenSound');
+        if (button) {
+            button.classList.toggle('is-on', this._soundOn);
+            button.setAttribute('aria-pressed', String(this._soundOn));
+            button.innerHTML = this._soundOn
+                ? '<i class="fas fa-volume-up"></i> Sound on'
+                : '<i class="fas fa-volume-mute"></i> Sound off';
+        }
+        if (this._soundOn) this.beep();
+    },
+
+    beep: function() {
+        if (!this._soundOn || !this._audio) return;
+
+        // Two short high tones, loud enough to hear over the fryer
+        [0, 0.25].forEach(offset => {
+            const oscillator = this._audio.createOscillator();
+            const gain = this._audio.createGain();
+            const start = this._audio.currentTime + offset;
+
+            oscillator.type = 'square';
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+            oscillator.connect(gain);
+            gain.connect(this._audio.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.2);
+        });
+    },
+
+    // ========== SETUP ==========
+
+    init: function() {
+        const board = document.getElementById('kitchenBoard');
+        if (!board) return;
+
+        if (!OrderSubmission.getEndpoint()) {
+            board.innerHTML = `
+                <p class="kitchen-empty">
+                    No order server is set up. Set OrderSubmission.ENDPOINT in submission.js, or run this in the console:<br>
+                    <code>localStorage.setItem('kodijongOrderEndpoint', 'http://localhost:8787/orders')</code>
+                </p>
+            `;
+            return;
+        }
+
+        board.addEventListener('click', e => {
+            const button = e.target.closest('.ticket-advance, .ticket-back');
+            if (button && !button.disabled) this.setStatus(button.dataset.key, button.dataset.status);
+        });
+
+        const soundButton = document.getElementById('kitchenSound');
+        if (soundButton) soundButton.addEventListener('click', () => this.toggleSound());
+
+        this.refresh();
+    }
+};
+
+// Make KitchenDisplay available globally
+window.KitchenDisplay = KitchenDisplay;
+
+document.addEventListener('DOMContentLoaded', function() {
+    KitchenDisplay.init();
+});
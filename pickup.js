@@ -0,0 +1,190 @@
+// ============================================
+// PICKUP SLOTS (built on ShopHours, hours.js)
+// ============================================
+// 15-minute pickup windows inside opening hours, with a minimum prep
+// lead time and a cap on orders per slot.
+//
+// Capacity: when the order server is on (OrderSubmission, submission.js)
+// a slot's count is every order the server holds for it, plus this
+// browser's orders still waiting in the submission queue; see
+// refreshServerCounts. Without a server the only bookings we can see are
+// the ones made from this browser (kodijongSlotBookings), so the cap is
+// then just a per-device guard, not a shop-wide limit.
+
+const PickupSlots = {
+    SLOT_MINUTES: 15,
+    MIN_LEAD_MINUTES: 20,     // Kitchen prep time before the earliest pickup
+    MAX_ORDERS_PER_SLOT: 4,
+    DAYS_WITH_SLOTS: 2,       // Offer today + next open day (or next two open days)
+    ASAP: 'asap',
+
+    _serverCounts: null,      // { slotKey: orders } from the last server fetch
+
+    // ========== BOOKINGS ==========
+
+    _getBookings: function() {
+        try {
+            const bookings = JSON.parse(localStorage.getItem('kodijongSlotBookings') || '{}');
+            return bookings && typeof bookings === 'object' ? bookings : {};
+        } catch (error) {
+            console.error('Error reading slot bookings:', error);
+            return {};
+        }
+    },
+
+    getBookedCount: function(slotKey) {
+        if (this._serverCounts && window.OrderSubmission && OrderSubmission.isEnabled()) {
+            const queued = OrderSubmission.getQueue()
+                .filter(entry => entry.payload && entry.payload.pickup && entry.payload.pickup.slot === slotKey)
+                .length;
+            return (this._serverCounts[slotKey] || 0) + queued;
+        }
+        return parseInt(this._getBookings()[slotKey], 10) || 0;
+    },
+
+    // Count orders per slot from the order server (GET <endpoint> lists
+    // them, as kitchen.html uses). Keeps the last counts if the server
+    // can't be reached; resolves true when they changed.
+    refreshServerCounts: async function() {
+        if (!window.OrderSubmission || !OrderSubmission.isEnabled()) return false;
+
+        try {
+            const response = await fetch(OrderSubmission.getEndpoint(), { headers: { Accept: 'application/json' } });
+            if (!response.ok) throw new Error(`Server replied ${response.status}`);
+            const orders = await response.json();
+
+            const counts = {};
+            (Array.isArray(orders) ? orders : []).forEach(order => {
+                const slot = order && order.pickup && order.pickup.slot;
+                if (slot && slot !== this.ASAP && order.status !== 'cancelled') counts[slot] = (counts[slot] || 0) + 1;
+            });
+
+            const changed = JSON.stringify(counts) !== JSON.stringify(this._serverCounts);
+            this._serverCounts = counts;
+            return changed;
+        } catch (error) {
+            console.error('Error loading slot counts:', error);
+            return false;
+        }
+    },
+
+    recordBooking: function(slotKey) {
+        if (!slotKey || slotKey === this.ASAP) return;
+
+        try {
+            const bookings = this._getBookings();
+            const today = ShopHours.getZonedParts().dateKey;
+
+            // Drop past days so the ledger doesn't grow forever
+            Object.keys(bookings).forEach(key => {
+                if (key.slice(0, 10) < today) delete bookings[key];
+            });
+
+            bookings[slotKey] = (parseInt(bookings[slotKey], 10) || 0) + 1;
+            localStorage.setItem('kodijongSlotBookings', JSON.stringify(bookings));
+        } catch (error) {
+            console.error('Error saving slot booking:', error);
+        }
+    },
+
+    // ========== SLOTS ==========
+
+    // "2026-10-20T14:15"
+    getSlotKey: function(parts, minutes) {
+        return `${parts.dateKey}T${ShopHours.formatClock(minutes)}`;
+    },
+
+    // Day label relative to now: "Today", "Tomorrow", "Wed"
+    _dayLabel: function(dayOffset, weekday) {
+        if (dayOffset === 0) return 'Today';
+        if (dayOffset === 1) return 'Tomorrow';
+        return ShopHours.DAY_NAMES[weekday].slice(0, 3);
+    },
+
+    // Days with at least one slot: [{ dateKey, label, slots: [...] }]
+    getAvailableDays: function(date = new Date()) {
+        const now = ShopHours.getZonedParts(date);
+        const days = [];
+
+        for (let offset = 0; offset <= 14 && days.length < this.DAYS_WITH_SLOTS; offset++) {
+            const day = ShopHours.addDays(now, offset);
+            const hours = ShopHours.getDayHours(day);
+            if (hours.closed) continue;
+
+            // Prep can't start before opening (or before now, today)
+            const prepStart = offset === 0 ? Math.max(hours.open, now.minutes) : hours.open;
+            const earliest = Math.ceil((prepStart + this.MIN_LEAD_MINUTES) / this.SLOT_MINUTES) * this.SLOT_MINUTES;
+            const dayLabel = this._dayLabel(offset, day.weekday);
+            const slots = [];
+
+            for (let minutes = earliest; minutes + this.SLOT_MINUTES <= hours.close; minutes += this.SLOT_MINUTES) {
+                const key = this.getSlotKey(day, minutes);
+                const remaining = Math.max(this.MAX_ORDERS_PER_SLOT - this.getBookedCount(key), 0);
+                slots.push({
+                    key,
+                    dateKey: day.dateKey,
+                    minutes,
+                    label: `${dayLabel} ${ShopHours.formatClock(minutes)}`,
+                    remaining,
+                    available: remaining > 0
+                });
+            }
+
+            if (slots.length > 0) {
+                days.push({ dateKey: day.dateKey, label: dayLabel, slots });
+            }
+        }
+
+        return days;
+    },
+
+    // Instant a slot starts (null for ASAP or a malformed key)
+    getSlotDate: function(slotKey) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}:\d{2})$/.exec(slotKey || '');
+        if (!match) return null;
+        const day = ShopHours._partsFromYmd(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+        return ShopHours.toDate(day, ShopHours.parseTime(match[4]));
+    },
+
+    findSlot: function(slotKey, date = new Date()) {
+        for (const day of this.getAvailableDays(date)) {
+            const slot = day.slots.find(s => s.key === slotKey);
+            if (slot) return slot;
+        }
+        return null;
+    },
+
+    // Still inside the lead-time window and not full?
+    isSlotAvailable: function(slotKey, date = new Date()) {
+        const slot = this.findSlot(slotKey, date);
+        return Boolean(slot && slot.available);
+    },
+
+    // ASAP is only offered while the shop is open and can still fit
+    // an order in before closing
+    canOrderAsap: function(date = new Date()) {
+        const status = ShopHours.getStatus(date);
+        if (!status.isOpen) return false;
+        const now = ShopHours.getZonedParts(date);
+        return now.minutes + this.MIN_LEAD_MINUTES <= status.closesAt;
+    },
+
+    // Human label for the WhatsApp message: "Today 14:15 (Tue 20 Oct)"
+    describe: function(slotKey, date = new Date()) {
+        if (!slotKey || slotKey === this.ASAP) {
+            return `As soon as possible (about ${this.MIN_LEAD_MINUTES} min)`;
+        }
+
+        const [dateKey, time] = slotKey.split('T');
+        const [year, month, day] = dateKey.split('-').map(n => parseInt(n, 10));
+        const target = ShopHours._partsFromYmd(year, month, day);
+        const now = ShopHours.getZonedParts(date);
+        const offset = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(now.year, now.month - 1, now.day)) / 86400000);
+        const monthName = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][month - 1];
+
+        return `${this._dayLabel(offset, target.weekday)} ${time} (${ShopHours.DAY_NAMES[target.weekday].slice(0, 3)} ${day} ${monthName})`;
+    }
+};
+
+// Make PickupSlots available globally
+window.PickupSlots = PickupSlots;
@@ -0,0 +1,133 @@
+// ============================================
+// PROMO CODES (rules engine)
+// ============================================
+// Codes are matched case-insensitively. Dates and weekdays use shop
+// time (ShopHours, hours.js). Discounts apply to food only, never to
+// the delivery fee.
+//
+// Rule fields:
+//   type:        'percent' | 'fixed' | 'bxgy'
+//   value:       percent off (percent) or rand off (fixed)
+//   maxDiscount: optional rand cap for percent codes
+//   productId, buy, get: bxgy - every (buy + get) units of the product,
+//                `get` of them are free (extras/drinks still charged)
+//   minSpend:    optional rand subtotal needed before the discount
+//   validFrom / validTo: optional 'YYYY-MM-DD', inclusive
+//   weekdays:    optional JS weekdays the code works on (0 = Sunday)
+//   label:       text shown on the discount line
+//
+// The promo field stays hidden until the shop adds a code here, e.g.
+//   'WELCOME10': { type: 'percent', value: 10, maxDiscount: 50, minSpend: 80, label: '10% off' },
+//   'TUESDAY20': { type: 'fixed', value: 20, minSpend: 100, weekdays: [2], label: 'R20 off Tuesdays' },
+//   'SKAFTIN3': { type: 'bxgy', productId: 'skaftin', buy: 2, get: 1, label: '3 Skaftins for 2' },
+//   'FESTIVE15': { type: 'percent', value: 15, validFrom: '2026-12-01', validTo: '2026-12-31', label: '15% off' }
+
+const PromoEngine = {
+    codes: {},
+
+    hasCodes: function() {
+        return Object.keys(this.codes).length > 0;
+    },
+
+    normalizeCode: function(code) {
+        return String(code || '').trim().toUpperCase();
+    },
+
+    getRule: function(code) {
+        const wanted = this.normalizeCode(code);
+        const key = Object.keys(this.codes).find(name => name.toUpperCase() === wanted);
+        return key ? this.codes[key] : null;
+    },
+
+    // ========== APPLIED CODE ==========
+
+    getAppliedCode: function() {
+        try {
+            return localStorage.getItem('kodijongPromoCode') || '';
+        } catch (error) {
+            return '';
+        }
+    },
+
+    setAppliedCode: function(code) {
+        try {
+            const normalized = this.normalizeCode(code);
+            if (normalized) {
+                localStorage.setItem('kodijongPromoCode', normalized);
+            } else {
+                localStorage.removeItem('kodijongPromoCode');
+            }
+        } catch (error) {
+            console.error('Error saving promo code:', error);
+        }
+    },
+
+    // ========== EVALUATION ==========
+
+    _formatDate: function(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(n => parseInt(n, 10));
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        return `${day} ${months[month - 1]} ${year}`;
+    },
+
+    // { valid: true, code, label, amount } with amount > 0 rand off, or
+    // { valid: false, code, reason } explaining why it doesn't apply
+    evaluate: function(code, cart, subtotal, date = new Date()) {
+        const normalized = this.normalizeCode(code);
+        const rule = this.getRule(normalized);
+        const fail = reason => ({ valid: false, code: normalized, reason });
+
+        if (!rule) return fail("That promo code isn't valid");
+
+        const today = ShopHours.getZonedParts(date);
+        if (rule.validFrom && today.dateKey < rule.validFrom) {
+            return fail(`This code starts on ${this._formatDate(rule.validFrom)}`);
+        }
+        if (rule.validTo && today.dateKey > rule.validTo) {
+            return fail(`This code expired on ${this._formatDate(rule.validTo)}`);
+        }
+        if (Array.isArray(rule.weekdays) && !rule.weekdays.includes(today.weekday)) {
+            const days = rule.weekdays.map(day => ShopHours.DAY_NAMES[day].slice(0, 3)).join(', ');
+            return fail(`This code only works on ${days}`);
+        }
+        if (rule.minSpend && subtotal < rule.minSpend) {
+            return fail(`Spend R${rule.minSpend} or more to use this code (R${(rule.minSpend - subtotal).toFixed(2)} to go)`);
+        }
+
+        let amount = 0;
+        let label = rule.label;
+
+        if (rule.type === 'percent') {
+            amount = subtotal * (parseFloat(rule.value) || 0) / 100;
+            if (rule.maxDiscount) amount = Math.min(amount, rule.maxDiscount);
+            label = label || `${rule.value}% off`;
+        } else if (rule.type === 'fixed') {
+            amount = Math.min(parseFloat(rule.value) || 0, subtotal);
+            label = label || `R${rule.value} off`;
+        } else if (rule.type === 'bxgy') {
+            const lines = cart.filter(item => item.productId === rule.productId);
+            const units = lines.reduce((sum, item) => sum + (parseInt(item.quantity, 10) || 1), 0);
+            const freeUnits = Math.floor(units / (rule.buy + rule.get)) * rule.get;
+            const product = window.MenuCatalog ? MenuCatalog.getProduct(rule.productId) : null;
+            const productName = product ? product.name : rule.productId;
+
+            if (freeUnits === 0) {
+                return fail(`Add ${rule.buy + rule.get} ${productName} to use this code`);
+            }
+
+            // The free units are the plain product, whatever extras they carry
+            const unitPrice = Math.min(...lines.map(item =>
+                parseFloat(item.baseProductPrice) || parseFloat(item.basePrice) || 0));
+            amount = freeUnits * unitPrice;
+            label = label || `Buy ${rule.buy} get ${rule.get} free on ${productName}`;
+        }
+
+        amount = Math.round(amount * 100) / 100;
+        if (amount <= 0) return fail("This code doesn't apply to your cart");
+
+        return { valid: true, code: normalized, label, amount };
+    }
+};
+
+// Make PromoEngine available globally
+window.PromoEngine = PromoEngine;
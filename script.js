@@ -8,6 +8,15 @@ const CartManager = {
     _cartCacheTime: 0,
     _CACHE_DURATION: 1000, // 1 second cache
     
+    // Cart payload schema. Bump CART_SCHEMA_VERSION and add a step to
+    // _cartMigrations whenever the stored item shape changes.
+    //   v1: bare array, options as "Greens: ... | Sauces: ..." string
+    //   v2: { schemaVersion, items }, options as structured fields
+    //   v3: options.removed lists ingredient ids to leave out
+    //   v4: variant { id, label } for sized products (null otherwise);
+    //       small/medium/large-chips lines became chips + that size
+    CART_SCHEMA_VERSION: 4,
+    
     // Get cart from localStorage with caching
     getCart: function() {
         const now = Date.now();
@@ -17,9 +26,16 @@ const CartManager = {
         
         try {
             const cartData = localStorage.getItem('kodijongCart');
-            const cart = cartData ? JSON.parse(cartData) : [];
-            this._cartCache = Array.isArray(cart) ? cart : [];
+            const payload = cartData ? JSON.parse(cartData) : null;
+            const { items: migratedItems, migrated } = this._migrateCart(payload);
+            const items = this.mergeDuplicateLines(migratedItems);
+            this._cartCache = items;
             this._cartCacheTime = now;
+            
+            // Persist upgraded/merged payload so this only runs once
+            if (migrated || items.length !== migratedItems.length) {
+                this.saveCart(items);
+            }
             return this._cartCache;
         } catch (error) {
             console.error('Error reading cart:', error);
@@ -35,7 +51,10 @@ const CartManager = {
         }
         
         try {
-            localStorage.setItem('kodijongCart', JSON.stringify(cart));
+            localStorage.setItem('kodijongCart', JSON.stringify({
+                schemaVersion: this.CART_SCHEMA_VERSION,
+                items: cart
+            }));
             this._cartCache = cart;
             this._cartCacheTime = Date.now();
             return true;
@@ -45,23 +64,165 @@ const CartManager = {
         }
     },
     
-    // Debounced cart count update
+    // ========== CHANGE SUBSCRIPTIONS ==========
+    // Views subscribe once and re-render from the event's cart. Every
+    // mutation goes through addItem/replaceItem/setItemQuantity/
+    // removeItem/clearCart so listeners always fire after the save.
+    //   event: { type: 'add' | 'update' | 'remove' | 'clear' | 'sync', cart, item, index }
+    
+    _listeners: [],
+    _syncInitialized: false,
+    
+    subscribe: function(listener) {
+        if (typeof listener !== 'function') return function() {};
+        
+        this._listeners.push(listener);
+        this._initCrossTabSync();
+        
+        return () => {
+            this._listeners = this._listeners.filter(l => l !== listener);
+        };
+    },
+    
+    _emit: function(type, detail = {}) {
+        const event = { type, cart: this.getCart(), ...detail };
+        this._listeners.slice().forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in cart listener:', error);
+            }
+        });
+    },
+    
+    // Drop the cached cart so the next getCart() re-reads localStorage
+    invalidateCache: function() {
+        this._cartCache = null;
+        this._cartCacheTime = 0;
+    },
+    
+    _initCrossTabSync: function() {
+        if (this._syncInitialized) return;
+        this._syncInitialized = true;
+        
+        // Fires in every *other* tab when localStorage changes (key null = clear())
+        window.addEventListener('storage', (e) => {
+            if (e.key === 'kodijongCart' || e.key === null) {
+                this.invalidateCache();
+                this._emit('sync');
+            }
+        });
+        
+        // Back/forward cache restores a frozen page with a stale cart
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) {
+                this.invalidateCache();
+                this._emit('sync');
+            }
+        });
+    },
+    
+    // ========== CART SCHEMA MIGRATION ==========
+    
+    // Upgrade any stored payload to the current schema
+    _migrateCart: function(payload) {
+        if (!payload) {
+            return { items: [], migrated: false };
+        }
+        
+        // v1 carts were stored as a bare array
+        let version = Array.isArray(payload) ? 1 : parseInt(payload.schemaVersion, 10) || 1;
+        let items = Array.isArray(payload) ? payload : payload.items;
+        if (!Array.isArray(items)) {
+            return { items: [], migrated: true };
+        }
+        
+        if (version > this.CART_SCHEMA_VERSION) {
+            console.warn(`Cart schema v${version} is newer than supported v${this.CART_SCHEMA_VERSION}`);
+            return { items, migrated: false };
+        }
+        
+        const startVersion = version;
+        while (version < this.CART_SCHEMA_VERSION) {
+            const migrate = this._cartMigrations[version];
+            if (!migrate) {
+                console.error(`No cart migration from schema v${version}`);
+                return { items: [], migrated: true };
+            }
+            items = items.map(item => migrate.call(this, item)).filter(Boolean);
+            version++;
+        }
+        
+        return { items, migrated: version !== startVersion };
+    },
+    
+    // Keyed by the version being upgraded *from*
+    _cartMigrations: {
+        // v1 -> v2: parse the pipe-joined options string into fields
+        1: function(item) {
+            if (!item || typeof item !== 'object') return null;
+            
+            const options = { greens: null, sauce: 'none', customSauces: [] };
+            const legacy = typeof item.options === 'string' ? item.options.split(' | ') : [];
+            
+            for (const opt of legacy) {
+                if (opt.startsWith('Greens:')) {
+                    options.greens = opt.replace('Greens:', '').trim() === 'with greens';
+                } else if (opt.startsWith('Sauces:')) {
+                    const sauces = opt.replace('Sauces:', '').trim();
+                    if (sauces === 'all sauces') {
+                        options.sauce = 'all';
+                    } else if (sauces && sauces !== 'no sauces') {
+                        options.sauce = 'custom';
+                        options.customSauces = sauces.split(',').map(s => s.trim()).filter(Boolean);
+                    }
+                }
+            }
+            
+            return { ...item, options };
+        },
+        
+        // v2 -> v3: nothing was removed from older lines
+        2: function(item) {
+            if (!item || typeof item !== 'object') return null;
+            return { ...item, options: { ...(item.options || {}), removed: [] } };
+        },
+        
+        // v3 -> v4: sizes. Lines for products that became a size (small-chips
+        // -> chips/small) are moved over; everything else is the default size.
+        3: function(item) {
+            if (!item || typeof item !== 'object') return null;
+            if (!window.MenuCatalog) return { ...item, variant: null };
+            
+            const legacy = MenuCatalog.legacyProducts[item.productId];
+            const productId = legacy ? legacy.productId : item.productId;
+            const variant = MenuCatalog.getVariant(productId, legacy ? legacy.variant : null);
+            const product = MenuCatalog.getProduct(productId);
+            
+            return {
+                ...item,
+                productId,
+                name: legacy && product ? product.name : item.name,
+                variant: variant ? { id: variant.id, label: variant.label } : null
+            };
+        }
+    },
+    
+    // Human-readable size/greens/sauce/removal labels for a current-schema cart item
+    getOptionLabels: function(item) {
+        return MenuCatalog.getOptionLabels(item);
+    },
+    
+    // Debounced cart count update (trailing edge, so a single call still renders)
     updateCartCount: (function() {
         let updateTimeout = null;
-        let pendingUpdate = false;
         
         return function() {
-            if (updateTimeout) {
-                pendingUpdate = true;
-                return;
-            }
+            if (updateTimeout) return; // Already scheduled
             
             updateTimeout = setTimeout(() => {
                 updateTimeout = null;
-                if (pendingUpdate) {
-                    pendingUpdate = false;
-                    this._updateCartCountImmediate();
-                }
+                this._updateCartCountImmediate();
             }, 50); // Batch updates within 50ms
         };
     })(),
@@ -92,6 +253,323 @@ const CartManager = {
         });
     },
     
+    // Same cap as the product page quantity selector. Merged lines may
+    // exceed it; the stepper just won't increase them further.
+    MAX_ITEM_QUANTITY: 10,
+    
+    // Set a cart line's quantity; zero or less removes the line
+    setItemQuantity: function(index, quantity) {
+        const cart = this.getCart();
+        if (!Number.isInteger(index) || index < 0 || index >= cart.length) return false;
+        if (quantity <= 0) return this.removeItem(index);
+        
+        const current = parseInt(cart[index].quantity, 10) || 1;
+        if (quantity > current && quantity > this.MAX_ITEM_QUANTITY) return false;
+        
+        const updated = cart.slice();
+        updated[index] = { ...updated[index], quantity };
+        if (!this.saveCart(updated)) return false;
+        
+        this._emit('update', { item: updated[index], index });
+        return true;
+    },
+    
+    // Add a line, merging into an identical configuration if present
+    addItem: function(item) {
+        const cart = this.getCart();
+        const signature = this.getLineSignature(item);
+        const mergeIndex = cart.findIndex(line => this.getLineSignature(line) === signature);
+        const updated = this.mergeDuplicateLines([...cart, item]);
+        if (!this.saveCart(updated)) return false;
+        
+        if (mergeIndex > -1) {
+            this._emit('update', { item: updated[mergeIndex], index: mergeIndex });
+        } else {
+            this._emit('add', { item, index: updated.length - 1 });
+        }
+        return true;
+    },
+    
+    // Replace the line with the given id (edit flow); merges if it now
+    // matches another line. Falls back to adding if the line is gone.
+    replaceItem: function(lineId, item) {
+        const cart = this.getCart();
+        const index = cart.findIndex(line => line.id === lineId);
+        if (index === -1) return this.addItem(item);
+        
+        const updated = cart.slice();
+        updated[index] = { ...item, id: lineId };
+        const merged = this.mergeDuplicateLines(updated);
+        if (!this.saveCart(merged)) return false;
+        
+        const signature = this.getLineSignature(updated[index]);
+        const mergedIndex = merged.findIndex(line => this.getLineSignature(line) === signature);
+        this._emit('update', { item: merged[mergedIndex], index: mergedIndex });
+        return true;
+    },
+    
+    removeItem: function(index) {
+        const cart = this.getCart();
+        if (!Number.isInteger(index) || index < 0 || index >= cart.length) return false;
+        
+        const updated = cart.slice();
+        const [removed] = updated.splice(index, 1);
+        if (!this.saveCart(updated)) return false;
+        
+        this._emit('remove', { item: removed, index });
+        return true;
+    },
+    
+    clearCart: function() {
+        if (!this.saveCart([])) return false;
+        this._emit('clear');
+        return true;
+    },
+    
+    // Identity of a line's configuration (product, size, unit price, options, extras, drinks)
+    getLineSignature: function(item) {
+        const options = item.options && typeof item.options === 'object' ? item.options : {};
+        const selections = list => (Array.isArray(list) ? list : [])
+            .filter(entry => (parseInt(entry.quantity, 10) || 0) > 0)
+            .map(entry => `${entry.name}:${parseInt(entry.quantity, 10)}`)
+            .sort();
+        
+        return JSON.stringify([
+            item.productId || item.name,
+            item.variant ? item.variant.id : null,
+            parseFloat(item.basePrice) || 0,
+            typeof options.greens === 'boolean' ? options.greens : null,
+            options.sauce || 'none',
+            (Array.isArray(options.customSauces) ? options.customSauces : []).slice().sort(),
+            (Array.isArray(options.removed) ? options.removed : []).slice().sort(),
+            selections(item.extras),
+            selections(item.drinks)
+        ]);
+    },
+    
+    // Collapse identical configurations into the first matching line
+    mergeDuplicateLines: function(items) {
+        const merged = [];
+        const bySignature = new Map();
+        
+        for (const item of items) {
+            const signature = this.getLineSignature(item);
+            const existing = bySignature.get(signature);
+            
+            if (existing) {
+                existing.quantity = (parseInt(existing.quantity, 10) || 1) + (parseInt(item.quantity, 10) || 1);
+            } else {
+                const line = { ...item };
+                bySignature.set(signature, line);
+                merged.push(line);
+            }
+        }
+        
+        return merged;
+    },
+    
+    // ========== ORDER TOTALS ==========
+    
+    // Meal deals found in the cart: [{ id, name, count, saving }]. Each unit
+    // (one kota, one drink on an item...) counts towards at most one deal;
+    // the priciest matching units are used so bundle prices save the most.
+    getAppliedCombos: function(cart = this.getCart()) {
+        if (!window.MenuCatalog || !Array.isArray(MenuCatalog.combos)) return [];
+        
+        const units = [];
+        cart.forEach(item => {
+            const quantity = parseInt(item.quantity, 10) || 1;
+            const productPrice = parseFloat(item.baseProductPrice) || parseFloat(item.basePrice) || 0;
+            
+            for (let n = 0; n < quantity; n++) {
+                units.push({ productId: item.productId, price: productPrice, used: false });
+                (Array.isArray(item.drinks) ? item.drinks : []).forEach(drink => {
+                    for (let d = 0; d < (parseInt(drink.quantity, 10) || 0); d++) {
+                        units.push({ drink: drink.name, price: parseFloat(drink.price) || 0, used: false });
+                    }
+                });
+            }
+        });
+        units.sort((a, b) => b.price - a.price);
+        
+        const applied = [];
+        MenuCatalog.combos.forEach(combo => {
+            let count = 0;
+            let saving = 0;
+            
+            while (true) {
+                const picked = [];
+                const complete = combo.components.every(component => {
+                    const unit = units.find(u => !u.used && !picked.includes(u) &&
+                        MenuCatalog.matchesComboComponent(component, u));
+                    if (unit) picked.push(unit);
+                    return Boolean(unit);
+                });
+                if (!complete) break;
+                
+                const value = picked.reduce((sum, unit) => sum + unit.price, 0);
+                const dealSaving = combo.price !== undefined ? value - combo.price : (combo.saving || 0);
+                if (dealSaving <= 0) break;
+                
+                picked.forEach(unit => { unit.used = true; });
+                count++;
+                saving += dealSaving;
+            }
+            
+            if (count > 0) {
+                applied.push({ id: combo.id, name: combo.name, count, saving: Math.round(saving * 100) / 100 });
+            }
+        });
+        
+        return applied;
+    },
+    
+    // { subtotal, lines: [{ type, label, amount }], promo, total } where
+    // lines are the discounts (negative) and charges shown between the
+    // subtotal and the total, and promo is the PromoEngine result for
+    // the entered code (null when none).
+    // checkout = { mode: 'collection' | 'delivery', suburb, promoCode }
+    getOrderTotals: function(cart = this.getCart(), checkout = {}) {
+        const subtotal = cart.reduce((sum, item) =>
+            sum + (parseFloat(item.basePrice) || 0) * (parseInt(item.quantity, 10) || 1), 0);
+        const lines = [];
+        let promo = null;
+        
+        this.getAppliedCombos(cart).forEach(combo => {
+            lines.push({
+                type: 'combo',
+                label: combo.count > 1 ? `${combo.name} x${combo.count}` : combo.name,
+                amount: -combo.saving
+            });
+        });
+        
+        // Promo codes work on what's left after meal-deal savings
+        if (checkout.promoCode && window.PromoEngine) {
+            const discounted = lines.reduce((sum, line) => sum + line.amount, subtotal);
+            promo = PromoEngine.evaluate(checkout.promoCode, cart, discounted);
+            if (promo.valid) {
+                lines.push({ type: 'promo', label: `${promo.code} (${promo.label})`, amount: -promo.amount });
+            }
+        }
+        
+        if (checkout.mode === 'delivery' && window.DeliveryZones) {
+            const zone = DeliveryZones.getZoneForSuburb(checkout.suburb);
+            if (zone) {
+                lines.push({ type: 'delivery', label: `Delivery (${checkout.suburb})`, amount: zone.fee });
+            }
+        }
+        
+        const total = lines.reduce((sum, line) => sum + line.amount, subtotal);
+        return { subtotal, lines, promo, total: Math.max(total, 0) };
+    },
+    
+    // ========== ORDER HISTORY ==========
+    
+    ORDER_HISTORY_LIMIT: 20,
+    
+    getOrderHistory: function() {
+        try {
+            const history = JSON.parse(localStorage.getItem('kodijongOrderHistory') || '[]');
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            console.error('Error reading order history:', error);
+            return [];
+        }
+    },
+    
+    // Record a sent order (newest first, capped)
+    saveOrderToHistory: function(order) {
+        const entry = {
+            id: `${order.orderNumber}-${Date.now()}`,
+            orderNumber: order.orderNumber,
+            schemaVersion: this.CART_SCHEMA_VERSION,
+            timestamp: Date.now(),
+            items: JSON.parse(JSON.stringify(order.items || [])),
+            total: order.total,
+            pickup: order.pickup || null,
+            fulfilment: order.fulfilment || null,
+            promoCode: order.promoCode || null,
+            channel: order.channel || null
+        };
+        
+        try {
+            const history = [entry, ...this.getOrderHistory()].slice(0, this.ORDER_HISTORY_LIMIT);
+            localStorage.setItem('kodijongOrderHistory', JSON.stringify(history));
+            return true;
+        } catch (error) {
+            console.error('Error saving order history:', error);
+            return false;
+        }
+    },
+    
+    // Rebuild a past cart line at today's catalog prices (null if the
+    // product or its size is no longer on the menu, or sold out).
+    // Extras/drinks that are no longer offered or sold out are dropped.
+    repriceItem: function(item) {
+        const product = window.MenuCatalog ? MenuCatalog.getProduct(item.productId) : null;
+        if (!product || MenuCatalog.isProductSoldOut(product.id)) return null;
+        
+        const hasSizes = MenuCatalog.getVariants(product.id).length > 0;
+        const variant = hasSizes ? MenuCatalog.getVariant(product.id, item.variant && item.variant.id) : null;
+        if (hasSizes && !variant) return null;
+        const productPrice = variant ? variant.price : product.price;
+        
+        const reprice = (list, lookup) => (Array.isArray(list) ? list : [])
+            .map(entry => {
+                const current = lookup(entry.name);
+                const quantity = parseInt(entry.quantity, 10) || 0;
+                return current && quantity > 0 ? { name: current.name, price: current.price, quantity } : null;
+            })
+            .filter(Boolean);
+        
+        const extras = reprice(item.extras, name => (MenuCatalog.isExtraSoldOut(name) ? null : MenuCatalog.getExtra(name)));
+        const drinks = reprice(item.drinks, name => (MenuCatalog.isDrinkSoldOut(name) ? null : MenuCatalog.getDrink(name)));
+        const addOnsTotal = [...extras, ...drinks].reduce((sum, entry) => sum + entry.price * entry.quantity, 0);
+        
+        return {
+            ...item,
+            id: `${item.productId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            name: product.name,
+            image: product.image,
+            variant: variant ? { id: variant.id, label: variant.label } : null,
+            baseProductPrice: productPrice,
+            basePrice: productPrice + addOnsTotal,
+            extras,
+            drinks,
+            timestamp: Date.now()
+        };
+    },
+    
+    // Put a past order's items back into the cart at current prices
+    reorder: function(historyId) {
+        const order = this.getOrderHistory().find(entry => entry.id === historyId);
+        if (!order) {
+            this.showNotification('That order could not be found', 'error');
+            return false;
+        }
+        
+        const { items: migrated } = this._migrateCart({ schemaVersion: order.schemaVersion || this.CART_SCHEMA_VERSION, items: order.items });
+        let added = 0;
+        const unavailable = [];
+        
+        for (const item of migrated) {
+            const repriced = this.repriceItem(item);
+            if (repriced && this.addItem(repriced)) {
+                added++;
+            } else {
+                unavailable.push(item.name);
+            }
+        }
+        
+        if (unavailable.length > 0) {
+            this.showNotification(`No longer available: ${unavailable.join(', ')}`, 'error');
+        }
+        if (added > 0) {
+            this.showNotification(`Order #${order.orderNumber} added to your cart`, 'success');
+        }
+        return added > 0;
+    },
+    
     // Generate order number
     generateOrderNumber: function() {
         // Use crypto if available for better randomness
@@ -159,22 +637,45 @@ const CartManager = {
         }, 3000);
     },
     
+    // Names of sold-out things on this line (product, extras or drinks)
+    getSoldOutParts: function(item) {
+        if (!window.MenuCatalog || !item) return [];
+        
+        const parts = [];
+        if (MenuCatalog.isProductSoldOut(item.productId)) parts.push(item.name);
+        (Array.isArray(item.extras) ? item.extras : []).forEach(extra => {
+            if ((parseInt(extra.quantity, 10) || 0) > 0 && MenuCatalog.isExtraSoldOut(extra.name)) parts.push(extra.name);
+        });
+        (Array.isArray(item.drinks) ? item.drinks : []).forEach(drink => {
+            if ((parseInt(drink.quantity, 10) || 0) > 0 && MenuCatalog.isDrinkSoldOut(drink.name)) parts.push(drink.name);
+        });
+        return parts;
+    },
+    
+    // Link that reopens the product page pre-filled with this cart line
+    getEditUrl: function(item) {
+        if (!item || !item.id || !item.productId) return null;
+        if (window.MenuCatalog && !MenuCatalog.getProduct(item.productId)) return null;
+        return `product-detail.html?product=${encodeURIComponent(item.productId)}&edit=${encodeURIComponent(item.id)}`;
+    },
+    
     // Format options for display (optimized)
     formatOptionsForDisplay: function(item) {
         const fragments = [];
         
-        // Greens and Sauces
-        if (item.options && typeof item.options === 'string') {
-            const options = item.options.split(' | ');
-            for (const opt of options) {
-                if (opt.startsWith('Greens:')) {
-                    const greens = opt.replace('Greens:', '').trim();
-                    fragments.push(`<div class="cart-option-item">🥬 ${greens || 'Not specified'}</div>`);
-                } else if (opt.startsWith('Sauces:')) {
-                    const sauces = opt.replace('Sauces:', '').trim();
-                    fragments.push(`<div class="cart-option-item">🍶 ${sauces || 'Not specified'}</div>`);
-                }
-            }
+        // Size, Greens and Sauces
+        const labels = this.getOptionLabels(item);
+        if (labels.size) {
+            fragments.push(`<div class="cart-option-item">📏 ${String(labels.size).replace(/[<>]/g, '')}</div>`);
+        }
+        if (labels.greens) {
+            fragments.push(`<div class="cart-option-item">🥬 ${labels.greens}</div>`);
+        }
+        if (labels.sauces) {
+            fragments.push(`<div class="cart-option-item">🍶 ${String(labels.sauces).replace(/[<>]/g, '')}</div>`);
+        }
+        if (labels.removed) {
+            fragments.push(`<div class="cart-option-item cart-option-removed">🚫 ${String(labels.removed).replace(/[<>]/g, '')}</div>`);
         }
         
         // Extras
@@ -224,49 +725,59 @@ const CartManager = {
         return fragments.join('');
     },
     
-    // WhatsApp order with optimizations
-    sendWhatsAppOrder: function() {
-        console.log('sendWhatsAppOrder called');
+    // ========== PLACING AN ORDER ==========
+    
+    // Check the cart and checkout form; returns the order object every
+    // channel sends (see channels.js), or null after telling the customer
+    // what to fix
+    buildOrder: function() {
         
         // Early return if cart empty
         const cart = this.getCart();
         if (cart.length === 0) {
             this.showNotification('Your cart is empty!', 'error');
-            return false;
+            return null;
         }
         
-        // Debug: Log all input fields
-        console.log('All input fields on page:');
-        document.querySelectorAll('input, textarea').forEach(input => {
-            console.log(`- ${input.id || input.name || 'no-id'}: type="${input.type}", value="${input.value}"`);
-        });
-        
-        // Get form values with multiple fallback options
-        const nameInput = document.getElementById('customer-name') || 
-                         document.querySelector('input[placeholder*="name" i], input[placeholder*="Name" i]') ||
-                         document.querySelector('input[name="name"]') ||
-                         document.querySelector('#name');
+        // Lines saved before something sold out
+        const soldOut = [...new Set(cart.flatMap(item => this.getSoldOutParts(item)))];
+        if (soldOut.length > 0) {
+            this.showNotification(`Sold out: ${soldOut.join(', ')}. Please edit or remove those items.`, 'error');
+            return null;
+        }
         
-        const phoneInput = document.getElementById('customer-phone') || 
-                          document.querySelector('input[placeholder*="phone" i], input[placeholder*="Phone" i]') ||
-                          document.querySelector('input[type="tel"]') ||
-                          document.querySelector('input[name="phone"]') ||
-                          document.querySelector('#phone');
+        // Pickup slot ('asap', a slot key, or '' when nothing chosen)
+        const pickupSelect = document.getElementById('pickup-time');
+        const pickupSlot = pickupSelect ? pickupSelect.value : '';
+        const checkout = getCheckoutDetails();
+        const isScheduled = Boolean(window.PickupSlots && pickupSlot && pickupSlot !== PickupSlots.ASAP);
         
-        const instructionsInput = document.getElementById('special-instructions') || 
-                                 document.querySelector('textarea[placeholder*="instructions" i]') ||
-                                 document.querySelector('textarea[name="instructions"]');
+        // Opening hours gate (orders for a later slot are fine while closed)
+        if (window.ShopHours && !isScheduled) {
+            const status = ShopHours.getStatus();
+            if (!status.isOpen) {
+                let closedMessage = `Sorry, we're closed right now. ${status.label.replace(/^Closed · /, '')}.`;
+                if (pickupSelect && window.PickupSlots) {
+                    closedMessage += ' Choose a pickup time to order ahead.';
+                }
+                if (ShopHours.blockOrdersWhenClosed) {
+                    this.showNotification(closedMessage, 'error');
+                    return null;
+                }
+                if (!window.confirm(`${closedMessage} Send your order anyway?`)) {
+                    return null;
+                }
+            }
+        }
         
-        console.log('Name input found:', nameInput);
-        console.log('Phone input found:', phoneInput);
-        console.log('Instructions input found:', instructionsInput);
+        const nameInput = document.getElementById('customer-name');
+        const phoneInput = document.getElementById('customer-phone');
+        const instructionsInput = document.getElementById('special-instructions');
         
         const name = nameInput?.value.trim() || '';
         const phone = phoneInput?.value.trim() || '';
         const instructions = instructionsInput?.value.trim() || '';
         
-        console.log('Name:', name, 'Phone:', phone);
-        
         // Validate inputs
         if (!name || !phone) {
             this.showNotification('Please enter your name and phone number', 'error');
@@ -280,7 +791,7 @@ const CartManager = {
                 if (name) phoneInput.focus();
             }
             
-            return false;
+            return null;
         }
         
         // Clear any error highlighting
@@ -297,142 +808,242 @@ const CartManager = {
                 phoneInput.style.border = '2px solid red';
                 phoneInput.focus();
             }
-            return false;
+            return null;
         }
         
-        // Generate WhatsApp message (optimized string building)
-        const orderNumber = this.generateOrderNumber();
-        const displayPhone = cleanedPhone.replace(/^\+27/, '0').replace(/^27/, '0');
-        const now = new Date();
-        
-        let message = `*KODIJONG WEBSITE ORDER*\n\n`;
-        message += `*ORDER NO:* ${orderNumber}\n\n`;
-        message += `*CUSTOMER DETAILS:*\n`;
-        message += `👤 *Name:* ${name.replace(/[*_~`]/g, '')}\n`;
-        message += `📞 *Phone:* ${displayPhone}\n\n`;
-        message += `*ORDER SUMMARY:*\n`;
-        
-        let cartTotal = 0;
-        for (let i = 0; i < cart.length; i++) {
-            const item = cart[i];
-            const basePrice = parseFloat(item.basePrice) || 0;
-            const quantity = parseInt(item.quantity) || 1;
-            const itemTotal = basePrice * quantity;
-            cartTotal += itemTotal;
-            
-            const safeName = String(item.name || '').replace(/[*_~`]/g, '');
-            message += `\n${i + 1}. *${safeName}* x${quantity}`;
-            message += `\n💰 *Price:* R${itemTotal.toFixed(2)}`;
-            
-            // Options
-            if (item.options && typeof item.options === 'string') {
-                const options = item.options.split(' | ');
-                for (const opt of options) {
-                    if (opt.startsWith('Greens:')) {
-                        const greens = opt.replace('Greens:', '').trim();
-                        message += `\n🥬 *Greens:* ${greens === 'with greens' ? 'with greens' : 'no greens'}`;
-                    } else if (opt.startsWith('Sauces:')) {
-                        const sauces = opt.replace('Sauces:', '').trim();
-                        if (sauces === 'all sauces') {
-                            message += `\n🍶 *Sauces:* all sauces`;
-                        } else if (sauces === 'no sauces') {
-                            message += `\n🍶 *Sauces:* no sauces`;
-                        } else {
-                            message += `\n🍶 *Sauces:* ${sauces.replace(/[*_~`]/g, '')}`;
-                        }
-                    }
-                }
-            }
+        // Delivery address validation
+        if (checkout.mode === 'delivery') {
+            const streetInput = document.getElementById('delivery-street');
+            const suburbSelect = document.getElementById('delivery-suburb');
             
-            // Extras
-            if (item.extras && Array.isArray(item.extras)) {
-                const extrasList = [];
-                for (const extra of item.extras) {
-                    const quantity = parseInt(extra.quantity) || 0;
-                    if (quantity > 0) {
-                        const safeExtraName = String(extra.name || '').replace(/[*_~`]/g, '');
-                        extrasList.push(`${safeExtraName} x${quantity}`);
-                    }
+            if (!checkout.street) {
+                this.showNotification('Please enter your street address for delivery', 'error');
+                if (streetInput) {
+                    streetInput.style.border = '2px solid red';
+                    streetInput.focus();
                 }
-                if (extrasList.length > 0) {
-                    message += `\n➕ *Extras:* ${extrasList.join(', ')}`;
+                return null;
+            }
+            if (!window.DeliveryZones || !DeliveryZones.getZoneForSuburb(checkout.suburb)) {
+                this.showNotification('Please choose a suburb we deliver to, or switch to collection', 'error');
+                if (suburbSelect) {
+                    suburbSelect.style.border = '2px solid red';
+                    suburbSelect.focus();
                 }
+                return null;
             }
             
-            // Drinks
-            if (item.drinks && Array.isArray(item.drinks)) {
-                const drinksList = [];
-                for (const drink of item.drinks) {
-                    const quantity = parseInt(drink.quantity) || 0;
-                    if (quantity > 0) {
-                        const safeDrinkName = String(drink.name || '').replace(/[*_~`]/g, '');
-                        drinksList.push(`${safeDrinkName} x${quantity}`);
-                    }
-                }
-                if (drinksList.length > 0) {
-                    message += `\n🥤 *Drinks:* ${drinksList.join(', ')}`;
-                }
+            if (streetInput) streetInput.style.border = '';
+            if (suburbSelect) suburbSelect.style.border = '';
+        }
+        
+        // A promo code that stopped applying (cart changed, date passed) shouldn't
+        // silently vanish from the total the customer expects
+        const totals = this.getOrderTotals(cart, checkout);
+        if (totals.promo && !totals.promo.valid) {
+            this.showNotification(`Promo code ${totals.promo.code}: ${totals.promo.reason}`, 'error');
+            return null;
+        }
+        
+        // Pickup time validation (slots fill up and lead times pass while the page is open)
+        if (pickupSelect && window.PickupSlots) {
+            if (!pickupSlot) {
+                this.showNotification('Please choose a pickup time', 'error');
+                pickupSelect.style.border = '2px solid red';
+                pickupSelect.focus();
+                return null;
             }
             
-            if (i < cart.length - 1) {
-                message += `\n────────────────────`;
+            const stillAvailable = isScheduled
+                ? PickupSlots.isSlotAvailable(pickupSlot)
+                : PickupSlots.canOrderAsap();
+            if (!stillAvailable) {
+                renderPickupOptions();
+                this.showNotification('That pickup time is no longer available. Please choose another.', 'error');
+                pickupSelect.style.border = '2px solid red';
+                pickupSelect.focus();
+                return null;
             }
+            
+            pickupSelect.style.border = '';
         }
         
-        message += `\n\n💰 *TOTAL AMOUNT:* R${cartTotal.toFixed(2)}\n`;
-        message += `\n⏰ *Order Time:* ${now.toLocaleString('en-ZA', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        })}\n`;
+        // Breakfast / late-night items must be served at the time the order is for
+        if (window.MenuCatalog) {
+            const readyAt = (isScheduled && PickupSlots.getSlotDate(pickupSlot)) || new Date();
+            const offHours = [...new Set(cart
+                .filter(item => !MenuCatalog.isAvailableAt(item.productId, readyAt))
+                .map(item => `${item.name} (${MenuCatalog.getAvailabilityLabel(item.productId)})`))];
+            if (offHours.length > 0) {
+                this.showNotification(`Not served at that time: ${offHours.join(', ')}. Choose another time or remove them.`, 'error');
+                return null;
+            }
+        }
         
-        if (instructions) {
-            message += `\n📝 *Special Instructions:*\n${instructions.replace(/[*_~`]/g, '')}\n`;
+        const displayPhone = cleanedPhone.replace(/^\+27/, '0').replace(/^27/, '0');
+        
+        const orderNumber = this.generateOrderNumber();
+        
+        return {
+            orderNumber,
+            // Same key on every retry so the order server can drop duplicates
+            idempotencyKey: window.crypto && typeof crypto.randomUUID === 'function'
+                ? crypto.randomUUID()
+                : `${orderNumber}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: Date.now(),
+            customer: { name, phone: displayPhone },
+            fulfilment: checkout.mode === 'delivery'
+                ? { mode: 'delivery', address: DeliveryZones.formatAddress(checkout), fee: (totals.lines.find(line => line.type === 'delivery') || {}).amount || 0 }
+                : { mode: 'collection' },
+            pickup: window.PickupSlots
+                ? { slot: pickupSlot || null, label: PickupSlots.describe(pickupSlot || PickupSlots.ASAP) }
+                : null,
+            items: cart,
+            totals,
+            promoCode: totals.promo && totals.promo.valid ? totals.promo.code : null,
+            instructions
+        };
+    },
+    
+    // Validate and open the review modal; nothing is sent until the
+    // customer confirms there (see sendOrder)
+    placeOrder: function(channelId = window.OrderChannels ? OrderChannels.getSelectedChannelId() : 'whatsapp') {
+        const channel = window.OrderChannels ? OrderChannels.getChannel(channelId) : null;
+        if (!channel) {
+            this.showNotification('That way of ordering is not available', 'error');
+            return false;
         }
         
-        message += `\n────────────────────\n`;
-        message += `*KODIJONG THE FOOD HUB*\n`;
-        message += `📍 232 Far East Bank, Sandton, 2014\n`;
-        message += `⏰ Open: Mon-Sat 9AM-10PM\n`;
-        message += `📞 +27 83 967 9365\n\n`;
-        message += `✅ *We will contact you shortly to confirm your order!*`;
+        const order = this.buildOrder();
+        if (!order) return false;
         
-        // Create WhatsApp URL
-        const businessPhone = '27839679365';
-        const encodedMessage = encodeURIComponent(message);
-        const whatsappUrl = `https://wa.me/${businessPhone}?text=${encodedMessage}`;
+        showOrderReview(order, channel.id);
+        return true;
+    },
+    
+    // Hand a reviewed order to a channel (WhatsApp, SMS, email, call) and
+    // ask the customer whether it went (completeOrder runs on "I've sent it")
+    sendOrder: function(order, channelId) {
+        const channel = window.OrderChannels ? OrderChannels.getChannel(channelId) : null;
+        if (!channel) {
+            this.showNotification('That way of ordering is not available', 'error');
+            return false;
+        }
         
-        console.log('Opening WhatsApp URL:', whatsappUrl);
+        if (!channel.send(order)) {
+            this.showNotification(`Couldn't open ${channel.label}. Please try another way of ordering.`, 'error');
+            return false;
+        }
         
-        // Open WhatsApp
+        // The order server gets it now, even if the tab is closed before
+        // "I've sent it" (a repeat send has the same idempotency key);
+        // "It didn't send" withdraws it again
+        if (window.OrderSubmission) {
+            OrderSubmission.enqueue(order, channel.id);
+        }
+        
+        // Opening WhatsApp doesn't mean the message went: keep the cart
+        // until the customer says it did (see showOrderConfirmation)
+        this.setPendingOrder(order, channel.id);
+        showOrderConfirmation(order, channel.id);
+        return true;
+    },
+    
+    // ========== HANDED-OFF ORDER AWAITING "I'VE SENT IT" ==========
+    
+    // Survives the same-tab fallback to wa.me, so the confirmation screen
+    // is back when the customer returns. Dropped once the cart no longer
+    // holds what was sent, so "I've sent it" can't wipe a newer cart.
+    PENDING_ORDER_MAX_AGE_MS: 2 * 60 * 60 * 1000,
+    
+    // What was ordered, ignoring line ids and timestamps
+    getCartFingerprint: function(items) {
+        return JSON.stringify((Array.isArray(items) ? items : []).map(item => [
+            item.productId,
+            item.variant ? item.variant.id : null,
+            parseInt(item.quantity, 10) || 1,
+            parseFloat(item.basePrice) || 0,
+            item.options || null,
+            item.extras || [],
+            item.drinks || []
+        ]));
+    },
+    
+    cartMatchesOrder: function(order, cart = this.getCart()) {
+        return cart.length > 0 && this.getCartFingerprint(cart) === this.getCartFingerprint(order.items);
+    },
+    
+    getPendingOrder: function() {
         try {
-            const newWindow = window.open(whatsappUrl, '_blank', 'noopener,noreferrer');
-            if (!newWindow || newWindow.closed || typeof newWindow.closed === 'undefined') {
-                // Fallback: Try to open in same window if popup blocked
-                window.location.href = whatsappUrl;
-                setTimeout(() => {
-                    this.showNotification('Please allow pop-ups or click the link manually', 'error');
-                }, 1000);
+            const pending = JSON.parse(localStorage.getItem('kodijongPendingOrder') || 'null');
+            if (!pending || !pending.order || Date.now() - pending.savedAt > this.PENDING_ORDER_MAX_AGE_MS ||
+                !this.cartMatchesOrder(pending.order)) {
+                return null;
             }
+            return pending;
         } catch (error) {
-            console.error('Error opening WhatsApp:', error);
-            // Direct fallback
-            window.location.href = whatsappUrl;
+            console.error('Error reading pending order:', error);
+            return null;
         }
+    },
+    
+    setPendingOrder: function(order, channelId) {
+        try {
+            localStorage.setItem('kodijongPendingOrder', JSON.stringify({ order, channelId, savedAt: Date.now() }));
+        } catch (error) {
+            console.error('Error saving pending order:', error);
+        }
+    },
+    
+    clearPendingOrder: function() {
+        try {
+            localStorage.removeItem('kodijongPendingOrder');
+        } catch (error) {
+            console.error('Error clearing pending order:', error);
+        }
+    },
+    
+    // Kept for existing callers: reviews, then sends via WhatsApp
+    sendWhatsAppOrder: function() {
+        return this.placeOrder('whatsapp');
+    },
+    
+    // Once the customer confirms the message went: count it against its
+    // slot, keep a local copy for "My previous orders" and reset the
+    // checkout (the order server already has it, see sendOrder)
+    completeOrder: function(order, channelId) {
+        this.clearPendingOrder();
+        
+        if (window.PickupSlots && order.pickup && order.pickup.slot && order.pickup.slot !== PickupSlots.ASAP) {
+            PickupSlots.recordBooking(order.pickup.slot);
+        }
+        
+        this.saveOrderToHistory({
+            orderNumber: order.orderNumber,
+            items: order.items,
+            total: order.totals.total,
+            pickup: order.pickup ? order.pickup.slot : null,
+            fulfilment: order.fulfilment,
+            promoCode: order.promoCode,
+            channel: channelId
+        });
         
-        // Clear cart and form
-        this.saveCart([]);
-        this._updateCartCountImmediate();
-        
-        // Clear form fields
-        if (nameInput) nameInput.value = '';
-        if (phoneInput) phoneInput.value = '';
-        if (instructionsInput) instructionsInput.value = '';
+        // Clear cart (unless another tab changed it since) and form
+        if (this.cartMatchesOrder(order)) this.clearCart();
+        ['customer-name', 'customer-phone', 'special-instructions', 'delivery-street', 'delivery-unit'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
         
-        this.showNotification('Order sent successfully! Check WhatsApp.', 'success');
-        return true;
+        const pickupSelect = document.getElementById('pickup-time');
+        if (pickupSelect) {
+            pickupSelect.value = '';
+            renderPickupOptions();
+        }
+        if (window.PromoEngine) {
+            PromoEngine.setAppliedCode('');
+            renderPromoCode();
+        }
     }
 };
 
@@ -460,42 +1071,902 @@ function initWhatsAppButton() {
             e.stopPropagation();
             
             try {
-                const result = CartManager.sendWhatsAppOrder();
-                console.log('sendWhatsAppOrder result:', result);
+                CartManager.placeOrder();
             } catch (error) {
-                console.error('Error in WhatsApp button handler:', error);
+                console.error('Error in order button handler:', error);
                 CartManager.showNotification('Error processing order. Please try again.', 'error');
             }
-            
-            return false;
-        });
-        
-        // Also handle Enter key on form fields
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'Enter' && (e.target.matches('#customer-name, #customer-phone, #special-instructions') ||
-                                      e.target.matches('input[placeholder*="name" i], input[placeholder*="phone" i]'))) {
-                e.preventDefault();
-                const result = CartManager.sendWhatsAppOrder();
-                console.log('Enter key triggered sendWhatsAppOrder:', result);
+            
+            return false;
+        });
+        
+    } else {
+        console.warn('WhatsApp button not found (id="whatsapp-btn")');
+        // Try again after a delay in case button loads dynamically
+        setTimeout(initWhatsAppButton, 1000);
+    }
+}
+
+// ============================================
+// OPENING HOURS UI (hours list + live status badges)
+// ============================================
+
+function renderOpeningHours() {
+    const list = document.getElementById('hoursList');
+    if (!list || !window.ShopHours) return;
+    
+    const today = ShopHours.getZonedParts();
+    const weekOrder = [1, 2, 3, 4, 5, 6, 0];
+    
+    list.innerHTML = weekOrder.map(weekday => {
+        const isToday = weekday === today.weekday;
+        // Today's row reflects holidays/overrides; other rows show the usual week
+        const hours = isToday ? ShopHours.getDayHours(today) : ShopHours.getWeeklyHours(weekday);
+        const times = hours.closed
+            ? 'Closed'
+            : `${ShopHours.formatShort(hours.open)} - ${ShopHours.formatShort(hours.close)}`;
+        const note = isToday && hours.label ? ` (${String(hours.label).replace(/[<>]/g, '')})` : '';
+        
+        return `
+            <div class="hour-item${hours.closed ? ' closed' : ''}${isToday ? ' today' : ''}"${isToday ? ' aria-current="date"' : ''}>
+                <span>${ShopHours.DAY_NAMES[weekday]}${isToday ? ' <small>(today)</small>' : ''}</span>
+                <span>${times}${note}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+function updateShopStatusBadges() {
+    if (!window.ShopHours) return;
+    
+    const status = ShopHours.getStatus();
+    document.querySelectorAll('[data-shop-status]').forEach(badge => {
+        badge.textContent = status.label;
+        badge.classList.toggle('is-open', status.isOpen);
+        badge.classList.toggle('is-closed', !status.isOpen);
+    });
+}
+
+function initOpeningHours() {
+    renderOpeningHours();
+    updateShopStatusBadges();
+    
+    // Keep the badge live; re-render rows too so "today" rolls over at midnight
+    setInterval(function() {
+        renderOpeningHours();
+        updateShopStatusBadges();
+    }, 60000);
+}
+
+// ============================================
+// PICKUP TIME SELECTOR (order form, both pages)
+// ============================================
+
+function renderPickupOptions() {
+    const select = document.getElementById('pickup-time');
+    if (!select || !window.PickupSlots) return;
+    
+    const previous = select.value;
+    const asap = PickupSlots.canOrderAsap();
+    const days = PickupSlots.getAvailableDays();
+    let html = '';
+    
+    if (asap) {
+        html += `<option value="${PickupSlots.ASAP}">As soon as possible (about ${PickupSlots.MIN_LEAD_MINUTES} min)</option>`;
+    } else {
+        html += `<option value="">${days.length ? 'Choose a pickup time' : 'No pickup times available'}</option>`;
+    }
+    
+    days.forEach(day => {
+        html += `<optgroup label="${day.label}">`;
+        day.slots.forEach(slot => {
+            const note = !slot.available ? ' (full)' : slot.remaining === 1 ? ' (1 left)' : '';
+            html += `<option value="${slot.key}"${slot.available ? '' : ' disabled'}>${slot.label}${note}</option>`;
+        });
+        html += '</optgroup>';
+    });
+    
+    select.innerHTML = html;
+    
+    // Keep the customer's choice if it is still bookable
+    const kept = Array.from(select.options).find(option => option.value === previous && !option.disabled);
+    select.value = kept ? previous : select.options[0].value;
+    
+    const hint = document.getElementById('pickup-time-hint');
+    if (hint) {
+        let hintText = '';
+        if (asap) {
+            hintText = `Orders take about ${PickupSlots.MIN_LEAD_MINUTES} minutes, or pick a later slot.`;
+        } else if (days.length && ShopHours.getStatus().isOpen) {
+            hintText = "We're about to close, so there's no time left for an ASAP order. Order ahead for a pickup slot.";
+        } else if (days.length) {
+            hintText = "We're closed right now. Order ahead for a pickup slot.";
+        }
+        hint.textContent = hintText;
+    }
+}
+
+function initPickupSelector() {
+    const select = document.getElementById('pickup-time');
+    if (!select || !window.PickupSlots) return;
+    
+    select.addEventListener('change', function() {
+        select.style.border = '';
+    });
+    
+    // Slots expire as the clock moves and other customers fill them;
+    // don't re-render under an open dropdown
+    const refresh = function() {
+        if (document.activeElement !== select) renderPickupOptions();
+    };
+    setInterval(function() {
+        PickupSlots.refreshServerCounts().finally(refresh);
+    }, 60000);
+    
+    // Bookings made in another tab change remaining capacity
+    window.addEventListener('storage', function(e) {
+        if (e.key === 'kodijongSlotBookings' || e.key === 'kodijongOrderQueue') renderPickupOptions();
+    });
+    
+    renderPickupOptions();
+    PickupSlots.refreshServerCounts().then(function(changed) {
+        if (changed) refresh();
+    });
+}
+
+// ============================================
+// COLLECTION / DELIVERY (order form + totals, both pages)
+// ============================================
+
+// Current choice from the order form: { mode, street, unit, suburb }
+function getFulfilmentDetails() {
+    const selected = document.querySelector('input[name="fulfilment"]:checked');
+    const value = id => (document.getElementById(id)?.value || '').trim();
+    
+    return {
+        mode: selected && selected.value === 'delivery' ? 'delivery' : 'collection',
+        street: value('delivery-street'),
+        unit: value('delivery-unit'),
+        suburb: value('delivery-suburb')
+    };
+}
+
+// Everything the totals depend on: fulfilment plus the applied promo code
+function getCheckoutDetails() {
+    return {
+        ...getFulfilmentDetails(),
+        promoCode: window.PromoEngine ? PromoEngine.getAppliedCode() : ''
+    };
+}
+
+// Subtotal/discount/fee lines and the grand total under the cart list
+function renderOrderTotals(cart = CartManager.getCart()) {
+    const totals = CartManager.getOrderTotals(cart, getCheckoutDetails());
+    const list = document.getElementById('order-adjustments');
+    const totalElement = document.getElementById('total-price');
+    
+    if (list) {
+        list.hidden = totals.lines.length === 0 || cart.length === 0;
+        list.innerHTML = `
+            <li><span>Subtotal</span><span>R${totals.subtotal.toFixed(2)}</span></li>
+            ${totals.lines.map(line => `
+                <li class="order-adjustment-${line.type}">
+                    <span>${String(line.label).replace(/[<>]/g, '')}</span>
+                    <span>${line.amount < 0 ? '-' : ''}R${Math.abs(line.amount).toFixed(2)}</span>
+                </li>
+            `).join('')}
+        `;
+    }
+    
+    if (totalElement) {
+        totalElement.textContent = `R${(cart.length ? totals.total : 0).toFixed(2)}`;
+    }
+}
+
+function renderSuburbOptions() {
+    const select = document.getElementById('delivery-suburb');
+    if (!select || !window.DeliveryZones) return;
+    
+    select.innerHTML = '<option value="">Choose your suburb</option>' + DeliveryZones.zones.map(zone => `
+        <optgroup label="${zone.label} · R${zone.fee} delivery">
+            ${zone.suburbs.map(suburb => `<option value="${suburb}">${suburb}</option>`).join('')}
+        </optgroup>
+    `).join('');
+}
+
+function updateFulfilmentFields() {
+    const fulfilment = getFulfilmentDetails();
+    const isDelivery = fulfilment.mode === 'delivery';
+    const fields = document.getElementById('delivery-fields');
+    const hint = document.getElementById('delivery-fee-hint');
+    const pickupLabel = document.querySelector('label[for="pickup-time"]');
+    
+    if (fields) fields.hidden = !isDelivery;
+    if (pickupLabel) pickupLabel.textContent = isDelivery ? 'Delivery Time:' : 'Pickup Time:';
+    
+    if (hint && window.DeliveryZones) {
+        const fee = DeliveryZones.getFee(fulfilment.suburb);
+        hint.textContent = fee !== null
+            ? `Delivery fee: R${fee.toFixed(2)}`
+            : 'Suburb not listed? Choose collection or call us on 083 967 9365.';
+    }
+    
+    renderOrderTotals();
+}
+
+function initFulfilmentToggle() {
+    const form = document.getElementById('order-form');
+    if (!form || !document.getElementById('delivery-fields')) return;
+    
+    renderSuburbOptions();
+    
+    form.addEventListener('change', function(e) {
+        if (e.target.matches('input[name="fulfilment"], #delivery-suburb')) {
+            e.target.style.border = '';
+            updateFulfilmentFields();
+        }
+    });
+    
+    updateFulfilmentFields();
+}
+
+// ============================================
+// PROMO CODE FIELD (order form, both pages)
+// ============================================
+
+// Reflect the applied code (and whether it currently applies) in the form
+function renderPromoCode() {
+    const group = document.getElementById('promo-code-group');
+    const input = document.getElementById('promo-code');
+    const button = document.getElementById('promo-apply');
+    const status = document.getElementById('promo-code-status');
+    if (!group || !input || !button || !window.PromoEngine) return;
+    
+    // Nothing to redeem: keep the form short
+    group.hidden = !PromoEngine.hasCodes();
+    
+    const applied = PromoEngine.getAppliedCode();
+    input.readOnly = Boolean(applied);
+    if (applied) input.value = applied;
+    button.textContent = applied ? 'Remove' : 'Apply';
+    
+    if (status) {
+        const totals = CartManager.getOrderTotals(CartManager.getCart(), getCheckoutDetails());
+        status.classList.toggle('is-valid', Boolean(totals.promo && totals.promo.valid));
+        status.classList.toggle('is-invalid', Boolean(totals.promo && !totals.promo.valid));
+        status.textContent = !totals.promo ? ''
+            : totals.promo.valid ? `${totals.promo.label}: -R${totals.promo.amount.toFixed(2)}`
+            : totals.promo.reason;
+    }
+}
+
+function applyPromoCode() {
+    const input = document.getElementById('promo-code');
+    if (!input || !window.PromoEngine) return;
+    
+    // Second press removes the applied code
+    if (PromoEngine.getAppliedCode()) {
+        PromoEngine.setAppliedCode('');
+        input.value = '';
+    } else if (!PromoEngine.getRule(input.value)) {
+        CartManager.showNotification(input.value.trim() ? "That promo code isn't valid" : 'Please enter a promo code', 'error');
+        input.focus();
+        return;
+    } else {
+        PromoEngine.setAppliedCode(input.value);
+    }
+    
+    renderPromoCode();
+    renderOrderTotals();
+}
+
+function initPromoCode() {
+    const input = document.getElementById('promo-code');
+    const button = document.getElementById('promo-apply');
+    if (!input || !button || !window.PromoEngine) return;
+    
+    button.addEventListener('click', applyPromoCode);
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyPromoCode();
+        }
+    });
+    
+    // Minimum spend / buy-X-get-Y depend on what's in the cart
+    CartManager.subscribe(renderPromoCode);
+    window.addEventListener('storage', function(e) {
+        if (e.key === 'kodijongPromoCode') {
+            renderPromoCode();
+            renderOrderTotals();
+        }
+    });
+    
+    renderPromoCode();
+}
+
+// ============================================
+// ORDER CHANNEL PICKER (order form, both pages)
+// ============================================
+
+function renderOrderChannels() {
+    const container = document.getElementById('order-channels');
+    if (!container || !window.OrderChannels) return;
+    
+    const selected = OrderChannels.getSelectedChannelId();
+    container.innerHTML = OrderChannels.getChannels().map(channel => `
+        <input type="radio" class="btn-check" name="order-channel" id="order-channel-${channel.id}" value="${channel.id}"${channel.id === selected ? ' checked' : ''} />
+        <label class="order-channel-option" for="order-channel-${channel.id}"><i class="${channel.icon}"></i> ${channel.label}</label>
+    `).join('');
+    
+    updateOrderButton();
+}
+
+// The send button names the chosen channel ("Send Order via SMS")
+function updateOrderButton() {
+    const button = document.getElementById('whatsapp-btn');
+    const channel = window.OrderChannels ? OrderChannels.getChannel(OrderChannels.getSelectedChannelId()) : null;
+    if (!button || !channel) return;
+    
+    button.innerHTML = `<i class="${channel.icon}"></i> ${channel.buttonLabel}`;
+    button.dataset.channel = channel.id;
+}
+
+function initOrderChannels() {
+    const container = document.getElementById('order-channels');
+    if (!container || !window.OrderChannels) return;
+    
+    container.addEventListener('change', function(e) {
+        if (e.target.name === 'order-channel') {
+            OrderChannels.setSelectedChannelId(e.target.value);
+            updateOrderButton();
+        }
+    });
+    
+    renderOrderChannels();
+}
+
+// ============================================
+// ORDER REVIEW & CONFIRMATION (modals around sending, both pages)
+// ============================================
+
+// Customer, lines and totals exactly as the order object has them
+function renderOrderSummary(order) {
+    const clean = text => String(text || '').replace(/[<>]/g, '');
+    const rand = amount => (amount < 0 ? `-R${(-amount).toFixed(2)}` : `R${amount.toFixed(2)}`);
+    const picked = list => (Array.isArray(list) ? list : [])
+        .filter(entry => (parseInt(entry.quantity, 10) || 0) > 0)
+        .map(entry => `${clean(entry.name)} x${parseInt(entry.quantity, 10)}`);
+    
+    const items = order.items.map(item => {
+        const quantity = parseInt(item.quantity, 10) || 1;
+        const labels = CartManager.getOptionLabels(item);
+        const details = [
+            labels.size && `📏 ${clean(labels.size)}`,
+            labels.greens && `🥬 ${labels.greens}`,
+            labels.sauces && `🍶 ${clean(labels.sauces)}`,
+            labels.removed && `🚫 ${clean(labels.removed)}`,
+            picked(item.extras).length > 0 && `➕ ${picked(item.extras).join(', ')}`,
+            picked(item.drinks).length > 0 && `🥤 ${picked(item.drinks).join(', ')}`
+        ].filter(Boolean);
+        
+        return `
+            <li class="order-review-item">
+                <div class="order-review-row">
+                    <span>${clean(item.name)} x${quantity}</span>
+                    <span>R${((parseFloat(item.basePrice) || 0) * quantity).toFixed(2)}</span>
+                </div>
+                ${details.map(detail => `<div class="order-review-detail">${detail}</div>`).join('')}
+            </li>
+        `;
+    }).join('');
+    
+    const totals = order.totals.lines.length > 0
+        ? `
+            <div class="order-review-row"><span>Subtotal</span><span>R${order.totals.subtotal.toFixed(2)}</span></div>
+            ${order.totals.lines.map(line => `
+                <div class="order-review-row"><span>${clean(line.label)}</span><span>${rand(line.amount)}</span></div>
+            `).join('')}
+        `
+        : '';
+    
+    const delivery = order.fulfilment.mode === 'delivery';
+    
+    return `
+        <div class="order-review-section">
+            <div>👤 ${clean(order.customer.name)}</div>
+            <div>📞 ${order.customer.phone}</div>
+            <div>${delivery ? `🛵 Deliver to ${clean(order.fulfilment.address)}` : '🏪 Collection at the shop'}</div>
+            ${order.pickup ? `<div>🕒 ${delivery ? 'Delivery' : 'Pickup'}: ${clean(order.pickup.label)}</div>` : ''}
+        </div>
+        <ul class="order-review-items">${items}</ul>
+        <div class="order-review-section">
+            ${totals}
+            <div class="order-review-row order-review-total"><span>Total</span><span>R${order.totals.total.toFixed(2)}</span></div>
+        </div>
+        ${order.instructions ? `<div class="order-review-section">📝 ${clean(order.instructions)}</div>` : ''}
+    `;
+}
+
+// Shared backdrop for both modals; onClick gets (e, overlay)
+function getOrderModal(id, onClick, onEscape) {
+    let overlay = document.getElementById(id);
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = id;
+        overlay.className = 'order-review-backdrop';
+        overlay.addEventListener('click', function(e) {
+            onClick(e, overlay);
+        });
+        overlay.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') onEscape();
+        });
+        document.body.appendChild(overlay);
+    }
+    return overlay;
+}
+
+// Everything the shop will receive, laid out for one last check. "Edit
+// order" closes it with the cart and form untouched; only "Confirm"
+// sends (still inside the tap, so pop-up blockers let WhatsApp open).
+function showOrderReview(order, channelId) {
+    const channel = window.OrderChannels ? OrderChannels.getChannel(channelId) : null;
+    if (!channel) return;
+    
+    const overlay = getOrderModal('order-review', function(e, modal) {
+        if (e.target === modal || e.target.closest('.order-review-edit')) {
+            closeOrderReview(true);
+        } else if (e.target.closest('.order-review-confirm')) {
+            const pending = modal._order;
+            closeOrderReview(false);
+            if (pending) CartManager.sendOrder(pending.order, pending.channelId);
+        }
+    }, function() {
+        closeOrderReview(true);
+    });
+    
+    overlay._order = { order, channelId: channel.id };
+    overlay.innerHTML = `
+        <div class="order-review" role="dialog" aria-modal="true" aria-labelledby="order-review-title">
+            <h3 id="order-review-title"><i class="fas fa-clipboard-check"></i> Check your order</h3>
+            <div class="order-review-body">${renderOrderSummary(order)}</div>
+            <div class="order-review-actions">
+                <button type="button" class="order-review-edit"><i class="fas fa-pen"></i> Edit order</button>
+                <button type="button" class="order-review-confirm" data-channel="${channel.id}"><i class="${channel.icon}"></i> Confirm &amp; ${channel.id === 'call' ? 'call' : `send via ${channel.label}`}</button>
+            </div>
+        </div>
+    `;
+    overlay.hidden = false;
+    overlay.querySelector('.order-review-confirm').focus();
+}
+
+// returnToForm: back to the first checkout field so the customer can edit
+function closeOrderReview(returnToForm) {
+    const overlay = document.getElementById('order-review');
+    if (!overlay) return;
+    
+    overlay.hidden = true;
+    overlay._order = null;
+    
+    if (returnToForm) {
+        const nameInput = document.getElementById('customer-name');
+        if (nameInput) nameInput.focus();
+    }
+}
+
+// After the hand-off. The cart only clears on "I've sent it"; "Resend"
+// opens the same message again (blocked pop-up, closed tab, no signal)
+// and "Not sent" goes back to the untouched cart.
+function showOrderConfirmation(order, channelId) {
+    const channel = window.OrderChannels ? OrderChannels.getChannel(channelId) : null;
+    if (!channel) return;
+    
+    const overlay = getOrderModal('order-confirmation', function(e, modal) {
+        const pending = modal._order;
+        if (!pending) return;
+        
+        if (e.target.closest('.order-confirm-resend')) {
+            const resendChannel = OrderChannels.getChannel(pending.channelId);
+            if (!resendChannel.send(pending.order)) {
+                CartManager.showNotification(`Couldn't open ${resendChannel.label}. Please try another way of ordering.`, 'error');
+            }
+        } else if (e.target.closest('.order-confirm-done')) {
+            closeOrderConfirmation();
+            CartManager.completeOrder(pending.order, pending.channelId);
+            CartManager.showNotification(`Thank you! Order ${pending.order.orderNumber} is with us.`, 'success');
+        } else if (e.target.closest('.order-confirm-cancel')) {
+            closeOrderConfirmation();
+            // Off the kitchen board and out of the slot count, so sending
+            // the cart again doesn't make a second ticket
+            if (window.OrderSubmission) {
+                OrderSubmission.cancel(pending.order.idempotencyKey);
+            }
+            CartManager.clearPendingOrder();
+            CartManager.showNotification('Your cart is still here. Send it again when you are ready.', 'success');
+        }
+    }, function() {
+        // Escape is "decide later": the order stays pending for the next visit
+        closeOrderConfirmation();
+    });
+    
+    const resendLabel = channel.id === 'call' ? 'Show call script again' : `Resend to ${channel.label}`;
+    
+    overlay._order = { order, channelId: channel.id };
+    overlay.innerHTML = `
+        <div class="order-review order-confirmation" role="dialog" aria-modal="true" aria-labelledby="order-confirmation-title">
+            <h3 id="order-confirmation-title"><i class="fas fa-receipt"></i> Order ${String(order.orderNumber).replace(/[<>]/g, '')}</h3>
+            <p class="order-confirmation-note">${channel.sentMessage} Your cart is kept until you confirm the order went through.</p>
+            <div class="order-review-body">${renderOrderSummary(order)}</div>
+            <div class="order-review-actions">
+                <button type="button" class="order-confirm-resend order-review-edit"><i class="${channel.icon}"></i> ${resendLabel}</button>
+                <button type="button" class="order-confirm-done order-review-confirm" data-channel="${channel.id}"><i class="fas fa-check"></i> I've sent it</button>
+            </div>
+            <button type="button" class="order-confirm-cancel">It didn't send - back to my cart</button>
+        </div>
+    `;
+    overlay.hidden = false;
+    overlay.querySelector('.order-confirm-done').focus();
+}
+
+function closeOrderConfirmation() {
+    const overlay = document.getElementById('order-confirmation');
+    if (!overlay) return;
+    
+    overlay.hidden = true;
+    overlay._order = null;
+}
+
+// Back from a same-tab hand-off (or a reload) with the question unanswered
+function initOrderConfirmation() {
+    const pending = CartManager.getPendingOrder();
+    if (!pending) {
+        CartManager.clearPendingOrder();
+        return;
+    }
+    
+    showOrderConfirmation(pending.order, pending.channelId);
+}
+
+// ============================================
+// ORDER SERVER STATUS (cart sidebar, both pages)
+// ============================================
+
+// Hides the "received" note after a minute; one timer however often we render
+let orderSyncStatusTimer = null;
+
+function renderOrderSyncStatus(status = window.OrderSubmission ? OrderSubmission.getStatus() : null) {
+    const box = document.getElementById('order-sync-status');
+    if (!box || !status) return;
+    
+    clearTimeout(orderSyncStatusTimer);
+    
+    const plural = count => (count === 1 ? '1 order' : `${count} orders`);
+    let html = '';
+    
+    if (status.failed > 0) {
+        html = `⚠️ ${plural(status.failed)} didn't reach our kitchen system. Your message to us still counts.
+            <button type="button" class="order-sync-retry">Try again</button>`;
+        box.className = 'order-sync-status is-failed';
+    } else if (status.pending > 0) {
+        const retryAt = new Date(status.nextAttemptAt || Date.now())
+            .toLocaleTimeString('en-ZA', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        html = status.sending
+            ? `⏳ Sending ${plural(status.pending)} to the kitchen...`
+            : `⏳ ${plural(status.pending)} waiting to reach the kitchen. Next try at ${retryAt}.`;
+        box.className = 'order-sync-status is-pending';
+    } else if (status.lastSentAt && Date.now() - status.lastSentAt < 60000) {
+        html = '✅ Order received by the kitchen';
+        box.className = 'order-sync-status is-sent';
+        orderSyncStatusTimer = setTimeout(() => renderOrderSyncStatus(), status.lastSentAt + 60000 - Date.now());
+    }
+    
+    box.hidden = !html;
+    box.innerHTML = html;
+}
+
+function initOrderSubmission() {
+    const box = document.getElementById('order-sync-status');
+    if (!window.OrderSubmission) return;
+    
+    OrderSubmission.subscribe(renderOrderSyncStatus);
+    if (box) {
+        box.addEventListener('click', function(e) {
+            if (e.target.closest('.order-sync-retry')) OrderSubmission.retryAll();
+        });
+    }
+    
+    OrderSubmission.init();
+    renderOrderSyncStatus();
+}
+
+// ============================================
+// ORDER HISTORY PANEL (cart sidebar, both pages)
+// ============================================
+
+function renderOrderHistory() {
+    const panel = document.getElementById('order-history');
+    const list = document.getElementById('order-history-list');
+    if (!panel || !list) return;
+    
+    const history = CartManager.getOrderHistory();
+    panel.hidden = history.length === 0;
+    
+    list.innerHTML = history.map(order => {
+        const items = Array.isArray(order.items) ? order.items : [];
+        const summary = items
+            .map(item => `${parseInt(item.quantity, 10) || 1}x ${String(item.name || '').replace(/[<>]/g, '')}`)
+            .join(', ');
+        const placed = new Date(order.timestamp).toLocaleString('en-ZA', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        return `
+            <li class="order-history-item">
+                <div class="order-history-info">
+                    <div class="order-history-header">
+                        <span class="order-history-number">#${parseInt(order.orderNumber, 10) || ''}</span>
+                        <span class="order-history-date">${placed}</span>
+                        <span class="order-history-total">R${(parseFloat(order.total) || 0).toFixed(2)}</span>
+                    </div>
+                    <div class="order-history-items">${summary}</div>
+                </div>
+                <button type="button" class="reorder-btn" data-history-id="${String(order.id).replace(/"/g, '&quot;')}">
+                    <i class="fas fa-redo"></i> Reorder
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+function initOrderHistoryPanel() {
+    const list = document.getElementById('order-history-list');
+    if (!list) return;
+    
+    list.addEventListener('click', function(e) {
+        const button = e.target.closest('.reorder-btn');
+        if (button) {
+            CartManager.reorder(button.dataset.historyId);
+        }
+    });
+    
+    // A sent order clears the cart, so re-render on cart changes too
+    CartManager.subscribe(renderOrderHistory);
+    window.addEventListener('storage', function(e) {
+        if (e.key === 'kodijongOrderHistory') renderOrderHistory();
+    });
+    
+    renderOrderHistory();
+}
+
+// ============================================
+// MAIN PAGE LOGIC (index.html)
+// ============================================
+
+if (document.querySelector('.hero')) {
+    // Performance optimized main page
+    document.addEventListener('DOMContentLoaded', function() {
+        console.log('Main page loaded');
+
+        // ========== MENU RENDERING (from catalog.js) ==========
+        function renderMenuCard(product, category) {
+            const safeName = String(product.name).replace(/[<>]/g, '');
+            const altText = category && category.itemLabel ? `${safeName} ${category.itemLabel}` : safeName;
+            const soldOut = MenuCatalog.isProductSoldOut(product.id);
+            // Breakfast items can be ordered ahead any time; checkout checks the pickup time
+            const servingLabel = MenuCatalog.getAvailabilityLabel(product.id);
+
+            return `
+                <div class="col-lg-3 col-md-4 col-sm-6">
+                    <a href="product-detail.html?product=${encodeURIComponent(product.id)}" class="menu-item-link text-decoration-none">
+                        <div class="card h-100 border-0 menu-item${soldOut ? ' sold-out' : ''}">
+                            ${soldOut ? '<div class="sold-out-badge">SOLD OUT</div>' : ''}
+                            ${!soldOut && servingLabel ? `<div class="sold-out-badge serving-badge">🕒 ${servingLabel}</div>` : ''}
+                            <img src="${product.image.replace(/"/g, '&quot;')}" class="card-img-top" alt="${altText.replace(/"/g, '&quot;')}">
+                            <div class="card-body">
+                                <div class="d-flex justify-content-between align-items-start mb-2">
+                                    <h5 class="card-title mb-0">${safeName}</h5>
+                                    <div class="item-price">${MenuCatalog.getPriceLabel(product.id)}</div>
+                                </div>
+                                <p class="card-text item-desc">${String(product.description).replace(/[<>]/g, '')}</p>
+                                <div class="order-btn w-100">${soldOut ? 'Sold Out' : 'Order Now'}</div>
+                            </div>
+                        </div>
+                    </a>
+                </div>
+            `;
+        }
+
+        function renderPopularCard(product) {
+            const safeName = String(product.name).replace(/[<>]/g, '');
+            const soldOut = MenuCatalog.isProductSoldOut(product.id);
+            const servingLabel = MenuCatalog.getAvailabilityLabel(product.id);
+
+            return `
+                <div class="col-lg-3 col-md-6">
+                    <a href="product-detail.html?product=${encodeURIComponent(product.id)}" class="popular-item-link text-decoration-none">
+                        <div class="card h-100 border-0 popular-item${soldOut ? ' sold-out' : ''}">
+                            <div class="popular-badge position-absolute top-0 end-0 m-2">${soldOut ? 'SOLD OUT' : String(product.popular.badge).replace(/[<>]/g, '')}</div>
+                            ${!soldOut && servingLabel ? `<div class="sold-out-badge serving-badge">🕒 ${servingLabel}</div>` : ''}
+                            <div class="popular-image">
+                                <img src="${product.image.replace(/"/g, '&quot;')}" class="card-img-top" alt="${safeName.replace(/"/g, '&quot;')}">
+                            </div>
+                            <div class="card-body">
+                                <h3 class="card-title">${safeName}</h3>
+                                <p class="card-text popular-desc">${String(product.description).replace(/[<>]/g, '')}</p>
+                                <div class="d-flex justify-content-between align-items-center">
+                                    <div class="popular-price h4 mb-0">${MenuCatalog.getPriceLabel(product.id)}</div>
+                                    <div class="popular-order-btn">${soldOut ? 'Sold Out' : 'Order Now'}</div>
+                                </div>
+                            </div>
+                        </div>
+                    </a>
+                </div>
+            `;
+        }
+
+        function renderMenu() {
+            const popularContainer = document.getElementById('popularItems');
+            const tabList = document.getElementById('menuTab');
+            const tabContent = document.getElementById('menuTabContent');
+
+            if (popularContainer) {
+                popularContainer.innerHTML = MenuCatalog.getPopularProducts().map(renderPopularCard).join('');
+            }
+
+            if (!tabList || !tabContent) return;
+
+            const categories = MenuCatalog.getCategories();
+
+            tabList.innerHTML = categories.map((category, index) => `
+                <li class="nav-item" role="presentation">
+                    <button class="nav-link${index === 0 ? ' active' : ''}" id="${category.id}-tab" data-bs-toggle="tab" data-bs-target="#${category.id}" type="button">
+                        ${category.icon ? `<i class="${category.icon}"></i> ` : ''}${category.label}
+                    </button>
+                </li>
+            `).join('');
+
+            tabContent.innerHTML = categories.map((category, index) => `
+                <div class="tab-pane fade${index === 0 ? ' show active' : ''}" id="${category.id}" role="tabpanel">
+                    <div class="row g-4">
+                        ${MenuCatalog.getProductsByCategory(category.id).map(product => renderMenuCard(product, category)).join('')}
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        // ========== MENU SEARCH & FILTERS ==========
+        // Filters apply to every category at once: while any is set the
+        // tabs give way to a single results grid. State lives in the URL
+        // (?q=&category=&ingredient=&exclude=&min=&max=) so searches can
+        // be shared.
+        const menuFilterFields = {
+            query: { id: 'menuSearch', param: 'q' },
+            category: { id: 'menuCategoryFilter', param: 'category' },
+            ingredient: { id: 'menuIngredientFilter', param: 'ingredient' },
+            minPrice: { id: 'menuMinPrice', param: 'min' },
+            maxPrice: { id: 'menuMaxPrice', param: 'max' }
+        };
+
+        function getMenuFilters() {
+            const filters = {};
+            Object.keys(menuFilterFields).forEach(key => {
+                const input = document.getElementById(menuFilterFields[key].id);
+                filters[key] = input ? input.value.trim() : '';
+            });
+            filters.exclude = Array.from(document.querySelectorAll('input[name="menuExclude"]:checked'))
+                .map(checkbox => checkbox.value);
+            return filters;
+        }
+
+        function syncMenuFiltersToUrl(filters) {
+            const url = new URL(window.location.href);
+            Object.keys(menuFilterFields).forEach(key => {
+                if (filters[key]) {
+                    url.searchParams.set(menuFilterFields[key].param, filters[key]);
+                } else {
+                    url.searchParams.delete(menuFilterFields[key].param);
+                }
+            });
+            if (filters.exclude.length) {
+                url.searchParams.set('exclude', filters.exclude.join(','));
+            } else {
+                url.searchParams.delete('exclude');
+            }
+            history.replaceState(null, '', url.pathname + url.search + url.hash);
+        }
+
+        function applyMenuFilters() {
+            const filters = getMenuFilters();
+            const active = Object.keys(menuFilterFields).some(key => filters[key]) || filters.exclude.length > 0;
+            const results = document.getElementById('menuResults');
+            const grid = document.getElementById('menuResultsGrid');
+            const noResults = document.getElementById('menuNoResults');
+            const status = document.getElementById('menuFilterStatus');
+            const count = document.getElementById('menuResultsCount');
+            const tabList = document.getElementById('menuTab');
+            const tabContent = document.getElementById('menuTabContent');
+
+            syncMenuFiltersToUrl(filters);
+            if (!results || !grid) return;
+
+            results.hidden = !active;
+            if (status) status.hidden = !active;
+            if (tabList) tabList.hidden = active;
+            if (tabContent) tabContent.hidden = active;
+            if (!active) return;
+
+            const categories = MenuCatalog.getCategories();
+            const matches = MenuCatalog.searchProducts(filters);
+            grid.innerHTML = matches
+                .map(product => renderMenuCard(product, categories.find(category => category.id === product.category)))
+                .join('');
+
+            if (noResults) noResults.hidden = matches.length > 0;
+            if (count) count.textContent = `${matches.length} item${matches.length === 1 ? '' : 's'} found`;
+        }
+
+        function initMenuFilters() {
+            const form = document.getElementById('menuFilters');
+            if (!form) return;
+
+            const categorySelect = document.getElementById('menuCategoryFilter');
+            const ingredientSelect = document.getElementById('menuIngredientFilter');
+            if (categorySelect) {
+                categorySelect.innerHTML += MenuCatalog.getCategories()
+                    .map(category => `<option value="${category.id}">${category.label}</option>`).join('');
+            }
+            if (ingredientSelect) {
+                ingredientSelect.innerHTML += MenuCatalog.getFilterableIngredients()
+                    .map(entry => `<option value="${entry.id}">${entry.label}</option>`).join('');
+            }
+            const exclusions = document.getElementById('menuExclusions');
+            if (exclusions) {
+                exclusions.insertAdjacentHTML('beforeend', MenuCatalog.allergens.map(allergen => `
+                    <label class="menu-exclusion">
+                        <input type="checkbox" name="menuExclude" value="${allergen.id}" />
+                        <span>${allergen.label}</span>
+                    </label>
+                `).join(''));
             }
-        });
-        
-    } else {
-        console.warn('WhatsApp button not found (id="whatsapp-btn")');
-        // Try again after a delay in case button loads dynamically
-        setTimeout(initWhatsAppButton, 1000);
-    }
-}
 
-// ============================================
-// MAIN PAGE LOGIC (index.html)
-// ============================================
+            // Restore a shared/bookmarked search
+            const params = new URLSearchParams(window.location.search);
+            Object.keys(menuFilterFields).forEach(key => {
+                const input = document.getElementById(menuFilterFields[key].id);
+                const value = params.get(menuFilterFields[key].param);
+                if (input && value !== null) input.value = value;
+            });
+            const excluded = (params.get('exclude') || '').split(',');
+            document.querySelectorAll('input[name="menuExclude"]').forEach(checkbox => {
+                checkbox.checked = excluded.includes(checkbox.value);
+            });
+
+            let filterTimeout = null;
+            form.addEventListener('input', function() {
+                clearTimeout(filterTimeout);
+                filterTimeout = setTimeout(applyMenuFilters, 150);
+            });
+            form.addEventListener('change', applyMenuFilters);
+            form.addEventListener('submit', function(e) {
+                e.preventDefault();
+                applyMenuFilters();
+            });
+
+            document.getElementById('menuFiltersClear')?.addEventListener('click', function() {
+                form.reset();
+                applyMenuFilters();
+            });
+
+            applyMenuFilters();
+        }
+
+        // Render before caching elements so tabs/panes exist
+        renderMenu();
+        initMenuFilters();
 
-if (document.querySelector('.hero')) {
-    // Performance optimized main page
-    document.addEventListener('DOMContentLoaded', function() {
-        console.log('Main page loaded');
-        
         // Use passive event listeners for better scrolling performance
         const passiveOptions = { passive: true };
         const activeOptions = { passive: false };
@@ -569,7 +2040,6 @@ if (document.querySelector('.hero')) {
             
             // Use DocumentFragment for batch DOM updates
             const fragment = document.createDocumentFragment();
-            let total = 0;
             
             if (cart.length === 0) {
                 const emptyItem = document.createElement('li');
@@ -580,15 +2050,16 @@ if (document.querySelector('.hero')) {
                 for (let i = 0; i < cart.length; i++) {
                     const item = cart[i];
                     const li = document.createElement('li');
-                    li.className = 'cart-item';
+                    const soldOutParts = CartManager.getSoldOutParts(item);
+                    li.className = soldOutParts.length ? 'cart-item cart-item-sold-out' : 'cart-item';
                     
                     const basePrice = parseFloat(item.basePrice) || 0;
                     const quantity = parseInt(item.quantity) || 1;
                     const itemTotal = basePrice * quantity;
-                    total += itemTotal;
                     
                     const productImage = item.image && typeof item.image === 'string' ? item.image : 'ORDERING/placeholder.jpg';
                     const optionsDisplay = CartManager.formatOptionsForDisplay(item);
+                    const editUrl = CartManager.getEditUrl(item);
                     
                     li.innerHTML = `
                         <div class="cart-item-info">
@@ -600,13 +2071,22 @@ if (document.querySelector('.hero')) {
                             </div>
                             <div class="cart-item-details">
                                 <div class="cart-item-header">
-                                    <span class="cart-item-name">${String(item.name || '').replace(/[<>]/g, '')} x${quantity}</span>
+                                    <span class="cart-item-name">${String(item.name || '').replace(/[<>]/g, '')}</span>
                                     <span class="cart-item-price">R${itemTotal.toFixed(2)}</span>
                                 </div>
                                 ${optionsDisplay ? `<div class="cart-item-options">${optionsDisplay}</div>` : ''}
+                                ${soldOutParts.length ? `<div class="cart-item-sold-out-note">⚠️ Sold out: ${soldOutParts.join(', ').replace(/[<>]/g, '')}. Edit or remove this item.</div>` : ''}
+                                <div class="cart-qty-stepper">
+                                    <button type="button" class="cart-qty-btn cart-qty-minus" data-index="${i}" aria-label="${quantity > 1 ? 'Decrease quantity' : 'Remove item'}">&minus;</button>
+                                    <span class="cart-qty-value" aria-live="polite">${quantity}</span>
+                                    <button type="button" class="cart-qty-btn cart-qty-plus" data-index="${i}" aria-label="Increase quantity"${quantity >= CartManager.MAX_ITEM_QUANTITY ? ' disabled' : ''}>+</button>
+                                </div>
                             </div>
                         </div>
-                        <button class="remove-item" data-index="${i}">&times;</button>
+                        <div class="cart-item-actions">
+                            ${editUrl ? `<a class="edit-item" href="${editUrl}" aria-label="Edit item"><i class="fas fa-pen"></i> Edit</a>` : ''}
+                            <button class="remove-item" data-index="${i}">&times;</button>
+                        </div>
                     `;
                     
                     fragment.appendChild(li);
@@ -617,27 +2097,29 @@ if (document.querySelector('.hero')) {
             elements.orderList.innerHTML = '';
             elements.orderList.appendChild(fragment);
             
-            if (elements.totalPriceElement) {
-                elements.totalPriceElement.textContent = `R${total.toFixed(2)}`;
-            }
-            
-            // Add remove handlers with event delegation
-            elements.orderList.addEventListener('click', function(e) {
-                if (e.target.classList.contains('remove-item')) {
-                    const index = parseInt(e.target.dataset.index, 10);
-                    if (!isNaN(index)) {
-                        const cart = CartManager.getCart();
-                        if (index >= 0 && index < cart.length) {
-                            cart.splice(index, 1);
-                            CartManager.saveCart(cart);
-                            updateCartDisplay();
-                            CartManager.updateCartCount();
-                        }
-                    }
-                }
-            });
+            renderOrderTotals(cart);
+        }
+        
+        // Cart line remove / quantity steppers (event delegation, attached once)
+        function handleCartListClick(e) {
+            const button = e.target.closest('.remove-item, .cart-qty-minus, .cart-qty-plus');
+            if (!button) return;
+            
+            const index = parseInt(button.dataset.index, 10);
+            const item = CartManager.getCart()[index];
+            if (isNaN(index) || !item) return;
+            
+            const quantity = parseInt(item.quantity, 10) || 1;
+            let newQuantity = 0;
+            if (button.classList.contains('cart-qty-minus')) newQuantity = quantity - 1;
+            if (button.classList.contains('cart-qty-plus')) newQuantity = quantity + 1;
+            
+            // Sidebar and badges re-render via the cart subscription
+            CartManager.setItemQuantity(index, newQuantity);
         }
         
+        if (elements.orderList) elements.orderList.addEventListener('click', handleCartListClick);
+        
         // ========== OPTIMIZED CART CONTROLS ==========
         const cartControls = {
             open: function() {
@@ -787,8 +2269,8 @@ if (document.querySelector('.hero')) {
         }, passiveOptions);
         
         // ========== INITIALIZE ==========
-        CartManager.updateCartCount();
         updateCartDisplay();
+        CartManager.subscribe(updateCartDisplay);
         
         // Clear old scroll data after delay
         setTimeout(() => {
@@ -811,166 +2293,6 @@ if (document.querySelector('.product-detail')) {
     document.addEventListener('DOMContentLoaded', function() {
         console.log('Product detail page loaded');
         
-        // ========== PRODUCT DATA ==========
-        const products = {
-            'big-boss': {
-                name: 'BIG BOSS',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, VIENNA, RUSSIAN SAUSAGE, GRILLED BACON, MOUTH WATERING BEEF PATTY, TANTALIZING SAUCES AND CHIPS.',
-                price: 85,
-                image: 'ORDERING/ORDERING 19.jpg'
-            },
-            'mac-gee': {
-                name: 'MAC GEE',
-                description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, MOUTH WATERING BEEF PATTY X2, EGG, CHEESE X2, GRILLED BACON X2, SIDE CHIPS AND ONION RINGS.(EXCLUDING THE DRINK)',
-                price: 70,
-                image: 'ORDERING/ORDERING 15.jpg'
-            },
-            'zuumba': {
-                name: 'ZUUMBA',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, CRISPY FRIED CHICKEN FILLET, TANTALIZING SAUCES AND CHIPS.',
-                price: 62,
-                image: 'ORDERING/ORDERING 20.jpg'
-            },
-            'goliath': {
-                name: 'GOLIATH',
-                description: '3 SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, RUSSIAN SAUSAGE, VIENNA AND TANTALIZING SAUCES.(EXCLUDING THE DRINK)',
-                price: 46,
-                image: 'ORDERING/ORDERING 22.jpg'
-            },
-            'mac-buza': {
-                name: 'MAC BUZA',
-                description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, MOUTH WATERING BEEF PATTY, EGG, CHEESE AND SIDE CHIPS.(EXCLUDING THE DRINK)',
-                price: 43,
-                image: 'ORDERING/ORDERING 18.jpg'
-            },
-            'jericho': {
-                name: 'JERICHO',
-                description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, RUSSIAN SAUSAGE, GRILLED BACON AND TANTALIZING SAUCES.',
-                price: 50,
-                image: 'ORDERING/ORDERING 16.jpg'
-            },
-            'nix-mapha': {
-                name: 'NIX MAPHA',
-                description: 'FRESH BREAD, GREENS, POLONY, SECRET SAUCE AND CHIPS.(EXCLUDING THE DRINK)',
-                price: 17,
-                image: 'ORDERING/ORDERING 8.jpg'
-            },
-            'kwela-kwela': {
-                name: 'KWELA KWELA',
-                description: 'FRESH BREAD, GREENS, POLONY, CHEESE, SECRET SAUCE AND CHIPS.(EXCLUDING THE LAYS)',
-                price: 22,
-                image: 'ORDERING/ORDERING 2.jpg'
-            },
-            'skaftin': {
-                name: 'SKAFTIN',
-                description: 'FRESH BREAD, GREENS, EGG, POLONY, SECRET SAUCE AND CHIPS.',
-                price: 25,
-                image: 'ORDERING/ORDERING 10.jpg'
-            },
-            'sporo': {
-                name: 'SPORO',
-                description: 'FRESH BREAD, GREENS, POLONY, VIENNA, SECRET SAUCE AND CHIPS.(EXCLUDING THE DRINK)',
-                price: 27,
-                image: 'ORDERING/ORDERING 1.jpg'
-            },
-            'tjovitjo': {
-                name: 'TJOVITJO',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, TANTALIZING SAUCES AND CHIPS.',
-                price: 30,
-                image: 'ORDERING/ORDERING 6.jpg'
-            },
-            'nomthandazo': {
-                name: 'NOMTHANDAZO',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, VIENNA, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
-                price: 35,
-                image: 'ORDERING/ORDERING 24.jpg'
-            },
-            'cheeseboy': {
-                name: 'CHEESEBOY',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, GRILLED BACON, TANTALIZING SAUCES AND CHIPS.',
-                price: 40,
-                image: 'ORDERING/ORDERING 5.jpg'
-            },
-            'da-ja-vu': {
-                name: 'DA JA VU',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, CHEESE, RUSSIAN SAUSAGE, TANTALIZING SAUCES AND CHIPS.',
-                price: 44,
-                image: 'ORDERING/ORDERING 7.jpg'
-            },
-            'kings-of-gomora': {
-                name: 'KINGS OF GOMORA',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, RUSSIAN SAUSAGE, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
-                price: 47,
-                image: 'ORDERING/ORDERING 21.jpg'
-            },
-            'papuka': {
-                name: 'PAPUKA',
-                description: 'FRESH BREAD, GREENS, POLONY, SPECIAL, EGG, CHEESE, BEEF BURGER PATTY, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
-                price: 50,
-                image: 'ORDERING/ORDERING 26.jpg'
-            },
-            'makhelwane': {
-                name: 'MAKHELWANE',
-                description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE AND TANTALIZING SAUCES.(EXCLUDING THE DRink)',
-                price: 18,
-                image: 'ORDERING/ORDERING 3.jpg'
-            },
-            'kasablanca': {
-                name: 'KASABLANCA',
-                description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, VIENNA AND TANTALIZING SAUCES.(EXCLUDING THE DRINK)',
-                price: 27,
-                image: 'ORDERING/ORDERING 11.jpg'
-            },
-            'spongebob': {
-                name: 'SPONGEBOB',
-                description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, GRILLED BACON AND TANTALIZING SAUCES.',
-                price: 30,
-                image: 'ORDERING/ORDERING 23.jpg'
-            },
-            'cool-guy': {
-                name: 'COOL GUY',
-                description: 'SLICES OF TOASTED BREAD, GREENS, EGG, CHEESE, RUSSIAN SAUSAGE AND TANTALIZING SAUCES.',
-                price: 36,
-                image: 'ORDERING/ORDERING 27.jpg'
-            },
-            'mac-love': {
-                name: 'MAC LOVE',
-                description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, MOUTH WATERING BEEF PATTY, EGG, CHEESE, GRILLED BACON AND SIDE CHIPS.(EXCLUDING THE DRINK)',
-                price: 48,
-                image: 'ORDERING/ORDERING 4.jpg'
-            },
-            'kediboni': {
-                name: 'KEDIBONI',
-                description: 'BURGER BUNS TOASTED, FRESH LETTUCE, SLICE OF ORGANIC TOMATOES, SEASONAL CUCUMBER OR PICKLED CUCUMBER, CRISPY FRIED CHICKEN FILLET, EGG, CHEESE, SIDE CHIPS AND ONION RINGS.(EXCLUDING THE DRINK)',
-                price: 53,
-                image: 'ORDERING/ORDERING 25.jpg'
-            },
-            'ugogo': {
-                name: 'UGOGO UYANG THANDA',
-                description: '1/2 FRESH BREAD, GREENS, POLONY, SPECIAL, EGG x2, CHEESE x2, VIENNA x2, GRILLED BACON x2, RUSSIAN SAUSAGE x2, BEEF BURGER PATTY x2, TANTALIZING SAUCES AND CHIPS.(EXCLUDING THE DRINK)',
-                price: 130,
-                image: 'ORDERING/ORDERING 28.jpg'
-            },
-            'small-chips': {
-                name: 'SMALL CHIPS',
-                description: 'Delicious golden fries served with our special sauce.',
-                price: 25,
-                image: 'ORDERING/ORDERING 12.jpg'
-            },
-            'medium-chips': {
-                name: 'MEDIUM CHIPS',
-                description: 'Delicious golden fries served with our special sauce.',
-                price: 30,
-                image: 'ORDERING/ORDERING 12.jpg'
-            },
-            'large-chips': {
-                name: 'LARGE CHIPS',
-                description: 'Delicious golden fries served with our special sauce.',
-                price: 40,
-                image: 'ORDERING/ORDERING 12.jpg'
-            }
-        };
-        
         // Cache DOM elements
         const elements = {
             productContent: document.getElementById('productContent'),
@@ -1000,6 +2322,7 @@ if (document.querySelector('.product-detail')) {
         let currentQuantity = 1;
         let extras = [];
         let drinks = [];
+        let editingLineId = null; // Cart line being edited (?edit=<id>)
         
         // ========== FIXED: CUSTOM SAUCES HANDLER ==========
         function handleSauceSelection() {
@@ -1034,8 +2357,10 @@ if (document.querySelector('.product-detail')) {
         // ========== OPTIMIZED PRODUCT LOADING ==========
         function loadProduct() {
             const urlParams = new URLSearchParams(window.location.search);
-            const productId = urlParams.get('product');
-            const product = products[productId];
+            // Old links (?product=small-chips) open the product they became a size of
+            const legacy = MenuCatalog.legacyProducts[urlParams.get('product')];
+            const productId = legacy ? legacy.productId : urlParams.get('product');
+            const product = MenuCatalog.getProduct(productId);
             
             if (!product || !elements.productContent) {
                 if (elements.productContent) {
@@ -1054,6 +2379,10 @@ if (document.querySelector('.product-detail')) {
             if (elements.productTitle) elements.productTitle.textContent = product.name;
             if (elements.productDesc) elements.productDesc.textContent = product.description;
             if (elements.productPrice) elements.productPrice.textContent = `R${product.price.toFixed(2)}`;
+            renderAllergenBadges(productId);
+            renderVariantOptions(productId);
+            renderModifierGroups(productId);
+            renderRemovableIngredients(productId);
             
             // Lazy load image
             if (elements.productImage) {
@@ -1093,9 +2422,363 @@ if (document.querySelector('.product-detail')) {
                 elements.customSaucesDiv.classList.remove('show');
             }
             
+            selectVariant(legacy ? legacy.variant : null);
+            renderProductAvailability(productId);
+            updateTotalDisplay();
+        }
+        
+        // ========== SOLD OUT / SERVING TIMES ==========
+        function renderProductAvailability(productId) {
+            const soldOut = MenuCatalog.isProductSoldOut(productId);
+            const servingLabel = MenuCatalog.getAvailabilityLabel(productId);
+            const notice = document.getElementById('productSoldOut');
+            const hoursNote = document.getElementById('productServingTime');
+            
+            if (notice) {
+                notice.hidden = !soldOut;
+                notice.innerHTML = '<i class="fas fa-ban"></i> Sold out right now. Please check back later or choose something else.';
+            }
+            // Can still go in the cart out of hours: checkout checks it against the pickup time
+            if (hoursNote) {
+                hoursNote.hidden = !servingLabel;
+                hoursNote.textContent = MenuCatalog.isAvailableAt(productId)
+                    ? `🕒 Served: ${servingLabel}`
+                    : `🕒 Served: ${servingLabel}. Pick a pickup time in that window at checkout.`;
+            }
+            if (elements.modalAddToCart) elements.modalAddToCart.disabled = soldOut;
+        }
+        
+        // ========== SIZE VARIANTS ==========
+        function renderVariantOptions(productId) {
+            const section = document.getElementById('productVariants');
+            const container = document.getElementById('productVariantOptions');
+            if (!section || !container) return;
+            
+            const variants = MenuCatalog.getVariants(productId);
+            section.hidden = variants.length === 0;
+            container.innerHTML = variants.map((variant, index) => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="radio" name="variant" id="variant-${variant.id}" value="${variant.id}"${index === 0 ? ' checked' : ''}>
+                    <label class="form-check-label" for="variant-${variant.id}">${variant.label} <span class="variant-price">${MenuCatalog.formatPrice(variant.price)}</span></label>
+                </div>
+            `).join('');
+            
+            container.addEventListener('change', function(e) {
+                if (e.target.name === 'variant') selectVariant(e.target.value);
+            });
+        }
+        
+        // Check a size (default size when no id) and price the page from it
+        function selectVariant(variantId) {
+            const productId = elements.productContent?.dataset.productId;
+            const variant = productId ? MenuCatalog.getVariant(productId, variantId) || MenuCatalog.getVariant(productId) : null;
+            if (!variant) return;
+            
+            const radio = document.getElementById(`variant-${variant.id}`);
+            if (radio) radio.checked = true;
+            
+            currentBasePrice = variant.price;
+            elements.productContent.dataset.basePrice = variant.price.toString();
+            if (elements.productPrice) elements.productPrice.textContent = `R${variant.price.toFixed(2)}`;
+            updateTotalDisplay();
+        }
+        
+        // Allergen tags from the product's structured ingredients
+        function renderAllergenBadges(productId) {
+            const container = document.getElementById('productAllergens');
+            if (!container) return;
+            
+            const allergens = MenuCatalog.getAllergens(productId);
+            container.hidden = MenuCatalog.getIngredients(productId).length === 0;
+            container.innerHTML = allergens.length
+                ? `<span class="allergen-label">Contains:</span> ${allergens.map(allergen =>
+                    `<span class="allergen-badge allergen-${allergen.id}">${allergen.label}</span>`).join('')}`
+                : `<span class="allergen-label">No ${MenuCatalog.allergens.map(allergen => allergen.label.toLowerCase()).join(', ')} tagged</span>`;
+            container.innerHTML += '<small class="allergen-note">Sauces are not included in these tags. Ask us if you have an allergy.</small>';
+        }
+        
+        // ========== MODIFIER GROUPS ==========
+        // Only the groups that apply to this product (MenuCatalog.getModifierGroups).
+        // The markup keeps the class names and input names the extras/drinks
+        // handlers, edit mode and resetProductForm already look for.
+        function renderModifierGroups(productId) {
+            const container = document.getElementById('productModifiers');
+            if (!container) return;
+            
+            container.innerHTML = MenuCatalog.getModifierGroups(productId).map(group => {
+                const heading = `<h4><i class="${group.icon}"></i> ${group.label}</h4>`;
+                
+                if (group.type === 'greens') {
+                    return `
+                        <div class="mb-4 modifier-group" data-group="${group.id}">
+                            ${heading}
+                            <div class="options-grid">
+                                <div class="form-check form-check-inline">
+                                    <input class="form-check-input" type="radio" name="greens" id="withGreens" value="Yes" checked>
+                                    <label class="form-check-label" for="withGreens">With Greens</label>
+                                </div>
+                                <div class="form-check form-check-inline">
+                                    <input class="form-check-input" type="radio" name="greens" id="noGreens" value="No">
+                                    <label class="form-check-label" for="noGreens">No Greens</label>
+                                </div>
+                            </div>
+                        </div>
+                    `;
+                }
+                
+                if (group.type === 'sauce') {
+                    const sauces = MenuCatalog.sauces.map((sauce, index) => `
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" name="custom-sauce" value="${sauce.replace(/"/g, '&quot;')}" id="customSauce-${index}">
+                            <label class="form-check-label" for="customSauce-${index}">${sauce}</label>
+                        </div>
+                    `).join('');
+                    
+                    return `
+                        <div class="mb-4 modifier-group" data-group="${group.id}">
+                            ${heading}
+                            <div class="options-grid">
+                                <div class="form-check form-check-inline">
+                                    <input class="form-check-input" type="radio" name="sauce" id="noSauce" value="No Sauce" checked>
+                                    <label class="form-check-label" for="noSauce">No Sauce</label>
+                                </div>
+                                <div class="form-check form-check-inline">
+                                    <input class="form-check-input" type="radio" name="sauce" id="allSauces" value="All">
+                                    <label class="form-check-label" for="allSauces">All Sauces</label>
+                                </div>
+                                <div class="form-check form-check-inline">
+                                    <input class="form-check-input" type="radio" name="sauce" id="customSauce" value="Custom">
+                                    <label class="form-check-label" for="customSauce">Custom Selection</label>
+                                </div>
+                            </div>
+                            <div class="custom-sauces mt-3" id="customSauces" style="display: none;">
+                                <div class="card p-3">
+                                    <h6>Choose ${group.min > 1 ? `${group.min} to ` : 'up to '}${group.max} sauces:</h6>
+                                    ${sauces}
+                                </div>
+                            </div>
+                        </div>
+                    `;
+                }
+                
+                // Extras / drinks steppers
+                const type = group.type === 'extras' ? 'extra' : 'drink';
+                const rows = group.choices.map(choice => {
+                    const name = choice.name.replace(/"/g, '&quot;');
+                    return `
+                        <div class="${type}-option d-flex justify-content-between align-items-center mb-2${choice.soldOut ? ' sold-out' : ''}">
+                            <div class="option-details">
+                                <span class="${type}-name">${choice.name}</span>
+                                <span class="${type}-price">${choice.soldOut ? 'Sold out' : `R${choice.price}`}</span>
+                            </div>
+                            <div class="option-controls">
+                                <button class="btn btn-sm btn-outline-warning ${type}-minus" type="button" data-name="${name}" data-price="${choice.price}">-</button>
+                                <input type="number" class="${type}-qty form-control form-control-sm text-center mx-1" style="width: 60px;" data-name="${name}" data-price="${choice.price}" value="0" min="0" max="${choice.max}" readonly />
+                                <button class="btn btn-sm btn-outline-warning ${type}-plus" type="button" data-name="${name}" data-price="${choice.price}"${choice.soldOut ? ' disabled' : ''}>+</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+                const limit = group.max ? `<p class="modifier-limit">Up to ${group.max} per item</p>` : '';
+                
+                return `
+                    <div class="mb-4 modifier-group" data-group="${group.id}" data-type="${type}"${group.max ? ` data-group-max="${group.max}"` : ''}>
+                        ${heading}
+                        ${limit}
+                        <div class="${group.type}-list">${rows}</div>
+                    </div>
+                `;
+            }).join('');
+            
+            elements.customSaucesDiv = document.getElementById('customSauces');
+            
+            // Clear a validation highlight once the group is touched
+            container.addEventListener('click', function(e) {
+                const groupEl = e.target.closest('.modifier-group');
+                if (groupEl) groupEl.style.border = '';
+            });
+        }
+        
+        // Add-on units picked in a rendered extras/drinks group
+        function getGroupUnits(groupEl) {
+            return Array.from(groupEl.querySelectorAll('.extra-qty, .drink-qty'))
+                .reduce((sum, input) => sum + (parseInt(input.value, 10) || 0), 0);
+        }
+        
+        // Can one more unit go into this stepper? Warns when a limit is hit.
+        function canIncrementAddOn(input) {
+            if (input.closest('.sold-out')) {
+                CartManager.showNotification(`${input.dataset.name} is sold out`, 'error');
+                return false;
+            }
+            
+            const value = parseInt(input.value, 10) || 0;
+            const max = parseInt(input.max, 10) || 10;
+            if (value >= max) {
+                CartManager.showNotification(`Maximum ${max} × ${input.dataset.name} per item`, 'error');
+                return false;
+            }
+            
+            const groupEl = input.closest('.modifier-group');
+            const groupMax = groupEl ? parseInt(groupEl.dataset.groupMax, 10) : NaN;
+            if (!isNaN(groupMax) && getGroupUnits(groupEl) >= groupMax) {
+                CartManager.showNotification(`You can add up to ${groupMax} extras per item`, 'error');
+                return false;
+            }
+            return true;
+        }
+        
+        // Check the page against the product's modifier rules; highlights
+        // and reports the first group that fails
+        function validateModifierGroups(productId) {
+            for (const group of MenuCatalog.getModifierGroups(productId)) {
+                const groupEl = document.querySelector(`.modifier-group[data-group="${group.id}"]`);
+                if (!groupEl) continue;
+                let error = null;
+                
+                if (group.type === 'greens' || group.type === 'sauce') {
+                    const picked = groupEl.querySelector(`input[name="${group.type}"]:checked`);
+                    if (group.required && !picked) {
+                        error = `Please choose a ${group.label.toLowerCase()} option`;
+                    } else if (group.type === 'sauce' && picked && picked.value === 'Custom') {
+                        const count = groupEl.querySelectorAll('input[name="custom-sauce"]:checked').length;
+                        if (count < (group.min || 1)) {
+                            error = `Choose at least ${group.min || 1} sauce${(group.min || 1) > 1 ? 's' : ''} for your custom selection`;
+                        } else if (group.max && count > group.max) {
+                            error = `Choose up to ${group.max} sauces`;
+                        }
+                    }
+                } else {
+                    const allowed = group.choices.map(choice => choice.name);
+                    const units = getGroupUnits(groupEl);
+                    const over = Array.from(groupEl.querySelectorAll('.extra-qty, .drink-qty')).find(input =>
+                        (parseInt(input.value, 10) || 0) > (parseInt(input.max, 10) || 10));
+                    const picked = (group.type === 'extras' ? extras : drinks).filter(entry => entry.quantity > 0);
+                    
+                    const soldOut = picked.find(entry => group.choices.some(choice => choice.name === entry.name && choice.soldOut));
+                    
+                    if (picked.some(entry => !allowed.includes(entry.name))) {
+                        error = `Some ${group.label.toLowerCase()} aren't available for this item`;
+                    } else if (soldOut) {
+                        error = `${soldOut.name} is sold out, please remove it`;
+                    } else if (over) {
+                        error = `Maximum ${over.max} × ${over.dataset.name} per item`;
+                    } else if (group.max && units > group.max) {
+                        error = `You can add up to ${group.max} ${group.type} per item`;
+                    } else if (units < group.min) {
+                        error = `Please add at least ${group.min} ${group.type}`;
+                    }
+                }
+                
+                groupEl.style.border = error ? '2px solid red' : '';
+                if (error) {
+                    CartManager.showNotification(error, 'error');
+                    groupEl.querySelector('input, button')?.focus();
+                    return false;
+                }
+            }
+            return true;
+        }
+        
+        // "Leave out" checkboxes from the product's ingredient list
+        function renderRemovableIngredients(productId) {
+            const section = document.getElementById('removeIngredients');
+            const container = document.getElementById('removeIngredientOptions');
+            if (!section || !container) return;
+            
+            const removable = MenuCatalog.getIngredients(productId).filter(ingredient => ingredient.removable !== false);
+            section.hidden = removable.length === 0;
+            container.innerHTML = removable.map(ingredient => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" name="remove-ingredient" id="remove-${ingredient.id}" value="${ingredient.id}">
+                    <label class="form-check-label" for="remove-${ingredient.id}">No ${ingredient.name.toLowerCase()}</label>
+                </div>
+            `).join('');
+        }
+        
+        // ========== EDIT EXISTING CART LINE ==========
+        function loadCartLineForEditing() {
+            const urlParams = new URLSearchParams(window.location.search);
+            const lineId = urlParams.get('edit');
+            if (!lineId || !elements.productContent) return;
+            
+            const line = CartManager.getCart().find(item => item.id === lineId);
+            if (!line || line.productId !== elements.productContent.dataset.productId) {
+                CartManager.showNotification('That cart item is no longer available to edit', 'error');
+                exitEditMode();
+                return;
+            }
+            
+            const options = line.options || {};
+            
+            // Size
+            selectVariant(line.variant ? line.variant.id : null);
+            
+            // Greens
+            const greensEl = document.querySelector(`input[name="greens"][value="${options.greens === false ? 'No' : 'Yes'}"]`);
+            if (greensEl) greensEl.checked = true;
+            
+            // Sauces
+            const sauceValue = options.sauce === 'all' ? 'All' : options.sauce === 'custom' ? 'Custom' : 'No Sauce';
+            const sauceEl = document.querySelector(`input[name="sauce"][value="${sauceValue}"]`);
+            if (sauceEl) sauceEl.checked = true;
+            
+            const customSauces = Array.isArray(options.customSauces) ? options.customSauces : [];
+            document.querySelectorAll('input[name="custom-sauce"]').forEach(cb => {
+                cb.checked = sauceValue === 'Custom' && customSauces.includes(cb.value);
+            });
+            if (elements.customSaucesDiv) {
+                elements.customSaucesDiv.classList.toggle('show', sauceValue === 'Custom');
+            }
+            
+            // Left-out ingredients
+            const removed = Array.isArray(options.removed) ? options.removed : [];
+            document.querySelectorAll('input[name="remove-ingredient"]').forEach(cb => {
+                cb.checked = removed.includes(cb.value);
+            });
+            
+            // Extras and drinks (priced from the current page, not the stored line)
+            const restoreQuantities = function(selected, type, update) {
+                (Array.isArray(selected) ? selected : []).forEach(entry => {
+                    const input = Array.from(document.querySelectorAll(`.${type}-qty`))
+                        .find(el => el.dataset.name === entry.name);
+                    const quantity = Math.min(parseInt(entry.quantity, 10) || 0, input ? parseInt(input.max, 10) || 10 : 10);
+                    const plusBtn = input && input.closest(`.${type}-option`)?.querySelector(`.${type}-plus`);
+                    if (!input || !plusBtn || quantity <= 0) return;
+                    
+                    input.value = quantity;
+                    update(entry.name, parseFloat(plusBtn.dataset.price || 0), quantity);
+                });
+            };
+            restoreQuantities(line.extras, 'extra', updateExtra);
+            restoreQuantities(line.drinks, 'drink', updateDrink);
+            
+            // Quantity
+            currentQuantity = Math.min(Math.max(parseInt(line.quantity, 10) || 1, 1), 10);
+            if (elements.quantityInput) elements.quantityInput.value = currentQuantity;
+            
+            editingLineId = lineId;
+            if (elements.modalAddToCart) {
+                elements.modalAddToCart.innerHTML = '<i class="fas fa-save"></i> Update Cart Item';
+            }
             updateTotalDisplay();
         }
         
+        function exitEditMode() {
+            editingLineId = null;
+            if (elements.modalAddToCart) {
+                elements.modalAddToCart.innerHTML = '<i class="fas fa-cart-plus"></i> Add to Cart';
+            }
+            renderComboUpsell();
+            
+            // Drop ?edit= so a refresh doesn't re-enter edit mode
+            const url = new URL(window.location.href);
+            if (url.searchParams.has('edit')) {
+                url.searchParams.delete('edit');
+                history.replaceState(null, '', url.pathname + url.search + url.hash);
+            }
+        }
+        
         // ========== FIXED: QUANTITY CONTROLS ==========
         function setupQuantityControls() {
             const qtyMinus = document.querySelector('.qty-minus');
@@ -1167,7 +2850,7 @@ if (document.querySelector('.product-detail')) {
                     if (!input) return;
                     
                     let value = parseInt(input.value, 10) || 0;
-                    if (value < 10) {
+                    if (canIncrementAddOn(input)) {
                         value++;
                         input.value = value;
                         updateExtra(name, price, value);
@@ -1206,7 +2889,7 @@ if (document.querySelector('.product-detail')) {
                     if (!input) return;
                     
                     let value = parseInt(input.value, 10) || 0;
-                    if (value < 10) {
+                    if (canIncrementAddOn(input)) {
                         value++;
                         input.value = value;
                         updateDrink(name, price, value);
@@ -1221,7 +2904,7 @@ if (document.querySelector('.product-detail')) {
                     const price = parseFloat(e.target.dataset.price || 0);
                     let value = parseInt(e.target.value, 10) || 0;
                     if (value < 0) value = 0;
-                    if (value > 10) value = 10;
+                    if (value > (parseInt(e.target.max, 10) || 10)) value = parseInt(e.target.max, 10) || 10;
                     e.target.value = value;
                     
                     updateExtra(name, price, value);
@@ -1233,7 +2916,7 @@ if (document.querySelector('.product-detail')) {
                     const price = parseFloat(e.target.dataset.price || 0);
                     let value = parseInt(e.target.value, 10) || 0;
                     if (value < 0) value = 0;
-                    if (value > 10) value = 10;
+                    if (value > (parseInt(e.target.max, 10) || 10)) value = parseInt(e.target.max, 10) || 10;
                     e.target.value = value;
                     
                     updateDrink(name, price, value);
@@ -1291,88 +2974,236 @@ if (document.querySelector('.product-detail')) {
         }
         
         // ========== OPTIMIZED ADD TO CART ==========
+        // Cart line for the product as configured on the page (null if the
+        // product data is missing)
+        function buildCartItem() {
+            const productContent = elements.productContent;
+            if (!productContent) return null;
+            
+            const productId = productContent.dataset.productId;
+            const productName = productContent.dataset.productName;
+            const basePrice = parseFloat(productContent.dataset.basePrice || 0);
+            const productImage = productContent.dataset.productImage || 'ORDERING/placeholder.jpg';
+            
+            // Validate
+            if (!productId || !productName || isNaN(basePrice)) {
+                CartManager.showNotification('Product data incomplete', 'error');
+                return null;
+            }
+            
+            if (MenuCatalog.isProductSoldOut(productId)) {
+                CartManager.showNotification(`Sorry, ${productName} is sold out`, 'error');
+                return null;
+            }
+            
+            if (!validateModifierGroups(productId)) return null;
+            
+            // Collect options (current cart schema)
+            const options = { greens: null, sauce: 'none', customSauces: [], removed: [] };
+            const greensEl = document.querySelector('input[name="greens"]:checked');
+            const sauceEl = document.querySelector('input[name="sauce"]:checked');
+            
+            if (greensEl) {
+                options.greens = greensEl.value === 'Yes';
+            }
+            
+            if (sauceEl) {
+                const sauce = sauceEl.value;
+                if (sauce === 'Custom') {
+                    options.customSauces = Array.from(
+                        document.querySelectorAll('input[name="custom-sauce"]:checked')
+                    ).map(cb => cb.value);
+                    options.sauce = options.customSauces.length > 0 ? 'custom' : 'none';
+                } else if (sauce === 'All') {
+                    options.sauce = 'all';
+                }
+            }
+            
+            options.removed = Array.from(document.querySelectorAll('input[name="remove-ingredient"]:checked'))
+                .map(cb => cb.value);
+            
+            const variantEl = document.querySelector('input[name="variant"]:checked');
+            const variant = variantEl ? MenuCatalog.getVariant(productId, variantEl.value) : null;
+            
+            // Create cart item
+            const uniqueId = `${productId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const itemBasePrice = basePrice + currentExtrasTotal + currentDrinksTotal;
+            
+            return {
+                id: uniqueId,
+                productId,
+                name: productName,
+                basePrice: itemBasePrice,
+                quantity: currentQuantity,
+                variant: variant ? { id: variant.id, label: variant.label } : null,
+                options,
+                image: productImage,
+                timestamp: Date.now(),
+                extras: extras.filter(e => e.quantity > 0).map(e => ({ ...e })),
+                drinks: drinks.filter(d => d.quantity > 0).map(d => ({ ...d })),
+                baseProductPrice: basePrice
+            };
+        }
+        
         if (elements.modalAddToCart) {
             elements.modalAddToCart.addEventListener('click', function(e) {
                 e.preventDefault();
                 
-                const productContent = elements.productContent;
-                if (!productContent) return;
-                
-                const productId = productContent.dataset.productId;
-                const productName = productContent.dataset.productName;
-                const basePrice = parseFloat(productContent.dataset.basePrice || 0);
-                const productImage = productContent.dataset.productImage || 'ORDERING/placeholder.jpg';
+                const cartItem = buildCartItem();
+                if (!cartItem) return;
+                const productName = cartItem.name;
                 
-                // Validate
-                if (!productId || !productName || isNaN(basePrice)) {
-                    CartManager.showNotification('Product data incomplete', 'error');
-                    return;
-                }
+                // Add to cart, or replace the line being edited
+                const isEdit = Boolean(editingLineId);
+                const saved = isEdit
+                    ? CartManager.replaceItem(editingLineId, cartItem)
+                    : CartManager.addItem(cartItem);
                 
-                // Collect options
-                const options = [];
-                const greensEl = document.querySelector('input[name="greens"]:checked');
-                const sauceEl = document.querySelector('input[name="sauce"]:checked');
-                
-                if (greensEl) {
-                    const greens = greensEl.value;
-                    options.push(`Greens: ${greens === 'Yes' ? 'with greens' : 'no greens'}`);
+                if (saved) {
+                    CartManager.showNotification(`${productName} ${isEdit ? 'updated in' : 'added to'} cart!`, 'success');
+                    openCart();
+                    exitEditMode();
+                    resetProductForm();
+                } else {
+                    CartManager.showNotification('Failed to add item', 'error');
                 }
+            });
+        }
+        
+        // ========== MEAL DEAL UPSELL ==========
+        // Offers the rest of a combo (chips, a drink) next to Add to Cart.
+        // The saving itself comes from CartManager.getAppliedCombos once
+        // the pieces are in the cart.
+        function renderComboUpsell() {
+            const upsell = document.getElementById('comboUpsell');
+            const productId = elements.productContent?.dataset.productId;
+            const combo = productId ? MenuCatalog.getComboForProduct(productId) : null;
+            if (!upsell) return;
+            
+            // Sides still on sale for each remaining component
+            const choiceLists = combo ? combo.components.slice(1).map(component => (component.drinks
+                ? component.drinks.map(name => MenuCatalog.getDrink(name))
+                    .filter(drink => drink && !MenuCatalog.isSoldOut(drink))
+                    .map(drink => ({ value: drink.name, label: `${drink.name} (R${drink.price})` }))
+                : Object.keys(MenuCatalog.products).map(id => MenuCatalog.getProduct(id))
+                    .filter(product => !MenuCatalog.isProductSoldOut(product.id) &&
+                        MenuCatalog.matchesComboComponent(component, { productId: product.id }))
+                    .flatMap(product => {
+                        const variants = MenuCatalog.getVariants(product.id);
+                        return variants.length
+                            ? variants.map(variant => ({ value: `${product.id}:${variant.id}`, label: `${product.name} ${variant.label} (R${variant.price})` }))
+                            : [{ value: product.id, label: `${product.name} (R${product.price})` }];
+                    })
+            )) : [];
+            
+            upsell.hidden = !combo || Boolean(editingLineId) || MenuCatalog.isProductSoldOut(productId) ||
+                choiceLists.some(choices => choices.length === 0);
+            if (upsell.hidden) return;
+            
+            const pickers = combo.components.slice(1).map((component, index) => `
+                <label class="combo-upsell-picker">
+                    <span>${component.label}</span>
+                    <select class="form-select form-select-sm" data-component="${index + 1}">
+                        ${choiceLists[index].map(choice => `<option value="${choice.value.replace(/"/g, '&quot;')}">${choice.label}</option>`).join('')}
+                    </select>
+                </label>
+            `).join('');
+            
+            const deal = combo.price !== undefined ? `for R${combo.price}` : `and save R${combo.saving}`;
+            upsell.innerHTML = `
+                <p class="combo-upsell-title"><i class="fas fa-utensils"></i> Make it a ${combo.name} ${deal}</p>
+                <p class="combo-upsell-desc">${combo.description}</p>
+                ${pickers}
+                <button type="button" class="combo-upsell-btn" data-combo-id="${combo.id}">Add as meal</button>
+            `;
+        }
+        
+        // The meal's drink counts against the same per-item drink limit as
+        // the drinks stepper on this page
+        function canAddComboDrink(name, cartItem) {
+            const input = Array.from(document.querySelectorAll('.drink-qty')).find(el => el.dataset.name === name);
+            if (input) return canIncrementAddOn(input);
+            
+            const group = MenuCatalog.modifierGroups.drinks || {};
+            const max = (group.limits && group.limits[name]) || group.maxPerItem || 10;
+            const existing = cartItem.drinks.find(d => d.name === name);
+            if (existing && existing.quantity >= max) {
+                CartManager.showNotification(`Maximum ${max} × ${name} per item`, 'error');
+                return false;
+            }
+            return true;
+        }
+        
+        function addComboToCart(comboId) {
+            const combo = MenuCatalog.combos.find(c => c.id === comboId);
+            const cartItem = buildCartItem();
+            if (!combo || !cartItem) return;
+            
+            const sides = [];
+            let blocked = false;
+            document.querySelectorAll('#comboUpsell select[data-component]').forEach(select => {
+                const component = combo.components[parseInt(select.dataset.component, 10)];
+                if (!component) return;
                 
-                if (sauceEl) {
-                    const sauce = sauceEl.value;
-                    if (sauce === 'Custom') {
-                        const customSauces = Array.from(
-                            document.querySelectorAll('input[name="custom-sauce"]:checked')
-                        ).map(cb => cb.value);
-                        
-                        if (customSauces.length > 0) {
-                            options.push(`Sauces: ${customSauces.join(', ')}`);
-                        } else {
-                            options.push(`Sauces: no sauces`);
-                        }
-                    } else if (sauce === 'All') {
-                        options.push(`Sauces: all sauces`);
-                    } else if (sauce === 'No Sauce') {
-                        options.push(`Sauces: no sauces`);
+                if (component.drinks) {
+                    // One drink per unit, carried on the main item like a picked drink
+                    const drink = MenuCatalog.getDrink(select.value);
+                    if (!drink) return;
+                    if (!canAddComboDrink(drink.name, cartItem)) {
+                        blocked = true;
+                        return;
+                    }
+                    const existing = cartItem.drinks.find(d => d.name === drink.name);
+                    if (existing) {
+                        existing.quantity += 1;
                     } else {
-                        options.push(`Sauces: ${sauce}`);
+                        cartItem.drinks.push({ name: drink.name, price: drink.price, quantity: 1 });
                     }
-                }
-                
-                // Create cart item
-                const uniqueId = `${productId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                const itemBasePrice = basePrice + currentExtrasTotal + currentDrinksTotal;
-                
-                const cartItem = {
-                    id: uniqueId,
-                    productId,
-                    name: productName,
-                    basePrice: itemBasePrice,
-                    quantity: currentQuantity,
-                    options: options.join(' | '),
-                    image: productImage,
-                    timestamp: Date.now(),
-                    extras: extras.filter(e => e.quantity > 0),
-                    drinks: drinks.filter(d => d.quantity > 0),
-                    baseProductPrice: basePrice
-                };
-                
-                // Add to cart
-                const cart = CartManager.getCart();
-                cart.push(cartItem);
-                
-                if (CartManager.saveCart(cart)) {
-                    CartManager.showNotification(`${productName} added to cart!`, 'success');
-                    openCart();
-                    CartManager.updateCartCount();
-                    resetProductForm();
+                    cartItem.basePrice += drink.price;
                 } else {
-                    CartManager.showNotification('Failed to add item', 'error');
+                    // "chips:large" for a sized side
+                    const [sideId, variantId] = select.value.split(':');
+                    const product = MenuCatalog.getProduct(sideId);
+                    if (!product) return;
+                    const variant = MenuCatalog.getVariant(product.id, variantId);
+                    const price = variant ? variant.price : product.price;
+                    sides.push({
+                        id: `${product.id}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                        productId: product.id,
+                        name: product.name,
+                        basePrice: price,
+                        quantity: cartItem.quantity,
+                        variant: variant ? { id: variant.id, label: variant.label } : null,
+                        options: { greens: null, sauce: 'none', customSauces: [], removed: [] },
+                        image: product.image,
+                        timestamp: Date.now(),
+                        extras: [],
+                        drinks: [],
+                        baseProductPrice: price
+                    });
                 }
             });
+            if (blocked) return;
+            
+            if (!CartManager.addItem(cartItem)) {
+                CartManager.showNotification('Failed to add item', 'error');
+                return;
+            }
+            sides.forEach(side => CartManager.addItem(side));
+            
+            CartManager.showNotification(`${combo.name} added to cart!`, 'success');
+            openCart();
+            resetProductForm();
         }
         
+        document.getElementById('comboUpsell')?.addEventListener('click', function(e) {
+            const button = e.target.closest('.combo-upsell-btn');
+            if (button) {
+                e.preventDefault();
+                addComboToCart(button.dataset.comboId);
+            }
+        });
+        
         function resetProductForm() {
             currentQuantity = 1;
             if (elements.quantityInput) elements.quantityInput.value = 1;
@@ -1396,9 +3227,13 @@ if (document.querySelector('.product-detail')) {
             if (elements.customSaucesDiv) {
                 elements.customSaucesDiv.classList.remove('show');
             }
+            document.querySelectorAll('.modifier-group').forEach(group => {
+                group.style.border = '';
+            });
+            selectVariant(null);
             
-            // Uncheck custom sauce checkboxes
-            document.querySelectorAll('input[name="custom-sauce"]').forEach(cb => {
+            // Uncheck custom sauce and "leave out" checkboxes
+            document.querySelectorAll('input[name="custom-sauce"], input[name="remove-ingredient"]').forEach(cb => {
                 cb.checked = false;
             });
             
@@ -1411,7 +3246,6 @@ if (document.querySelector('.product-detail')) {
             if (!elements.orderList) return;
             
             const fragment = document.createDocumentFragment();
-            let total = 0;
             
             if (cart.length === 0) {
                 const emptyItem = document.createElement('li');
@@ -1422,15 +3256,16 @@ if (document.querySelector('.product-detail')) {
                 for (let i = 0; i < cart.length; i++) {
                     const item = cart[i];
                     const li = document.createElement('li');
-                    li.className = 'cart-item';
+                    const soldOutParts = CartManager.getSoldOutParts(item);
+                    li.className = soldOutParts.length ? 'cart-item cart-item-sold-out' : 'cart-item';
                     
                     const basePrice = parseFloat(item.basePrice) || 0;
                     const quantity = parseInt(item.quantity) || 1;
                     const itemTotal = basePrice * quantity;
-                    total += itemTotal;
                     
                     const productImage = item.image && typeof item.image === 'string' ? item.image : 'ORDERING/placeholder.jpg';
                     const optionsDisplay = CartManager.formatOptionsForDisplay(item);
+                    const editUrl = CartManager.getEditUrl(item);
                     
                     li.innerHTML = `
                         <div class="cart-item-info">
@@ -1442,13 +3277,22 @@ if (document.querySelector('.product-detail')) {
                             </div>
                             <div class="cart-item-details">
                                 <div class="cart-item-header">
-                                    <span class="cart-item-name">${String(item.name || '').replace(/[<>]/g, '')} x${quantity}</span>
+                                    <span class="cart-item-name">${String(item.name || '').replace(/[<>]/g, '')}</span>
                                     <span class="cart-item-price">R${itemTotal.toFixed(2)}</span>
                                 </div>
                                 ${optionsDisplay ? `<div class="cart-item-options">${optionsDisplay}</div>` : ''}
+                                ${soldOutParts.length ? `<div class="cart-item-sold-out-note">⚠️ Sold out: ${soldOutParts.join(', ').replace(/[<>]/g, '')}. Edit or remove this item.</div>` : ''}
+                                <div class="cart-qty-stepper">
+                                    <button type="button" class="cart-qty-btn cart-qty-minus" data-index="${i}" aria-label="${quantity > 1 ? 'Decrease quantity' : 'Remove item'}">&minus;</button>
+                                    <span class="cart-qty-value" aria-live="polite">${quantity}</span>
+                                    <button type="button" class="cart-qty-btn cart-qty-plus" data-index="${i}" aria-label="Increase quantity"${quantity >= CartManager.MAX_ITEM_QUANTITY ? ' disabled' : ''}>+</button>
+                                </div>
                             </div>
                         </div>
-                        <button class="remove-item" data-index="${i}">&times;</button>
+                        <div class="cart-item-actions">
+                            ${editUrl ? `<a class="edit-item" href="${editUrl}" aria-label="Edit item"><i class="fas fa-pen"></i> Edit</a>` : ''}
+                            <button class="remove-item" data-index="${i}">&times;</button>
+                        </div>
                     `;
                     
                     fragment.appendChild(li);
@@ -1458,27 +3302,29 @@ if (document.querySelector('.product-detail')) {
             elements.orderList.innerHTML = '';
             elements.orderList.appendChild(fragment);
             
-            if (elements.totalPriceElement) {
-                elements.totalPriceElement.textContent = `R${total.toFixed(2)}`;
-            }
-            
-            // Event delegation for remove buttons
-            elements.orderList.addEventListener('click', function(e) {
-                if (e.target.classList.contains('remove-item')) {
-                    const index = parseInt(e.target.dataset.index, 10);
-                    if (!isNaN(index)) {
-                        const cart = CartManager.getCart();
-                        if (index >= 0 && index < cart.length) {
-                            cart.splice(index, 1);
-                            CartManager.saveCart(cart);
-                            updateCartDisplay();
-                            CartManager.updateCartCount();
-                        }
-                    }
-                }
-            });
+            renderOrderTotals(cart);
+        }
+        
+        // Cart line remove / quantity steppers (event delegation, attached once)
+        function handleCartListClick(e) {
+            const button = e.target.closest('.remove-item, .cart-qty-minus, .cart-qty-plus');
+            if (!button) return;
+            
+            const index = parseInt(button.dataset.index, 10);
+            const item = CartManager.getCart()[index];
+            if (isNaN(index) || !item) return;
+            
+            const quantity = parseInt(item.quantity, 10) || 1;
+            let newQuantity = 0;
+            if (button.classList.contains('cart-qty-minus')) newQuantity = quantity - 1;
+            if (button.classList.contains('cart-qty-plus')) newQuantity = quantity + 1;
+            
+            // Sidebar and badges re-render via the cart subscription
+            CartManager.setItemQuantity(index, newQuantity);
         }
         
+        if (elements.orderList) elements.orderList.addEventListener('click', handleCartListClick);
+        
         function openCart() {
             if (elements.cartSidebar) elements.cartSidebar.classList.add('active');
             if (elements.backdrop) elements.backdrop.classList.add('active');
@@ -1503,8 +3349,8 @@ if (document.querySelector('.product-detail')) {
         loadProduct();
         setupQuantityControls();
         setupExtrasAndDrinksControls();
-        CartManager.updateCartCount();
         updateCartDisplay();
+        CartManager.subscribe(updateCartDisplay);
         
         // Set default sauce on page load
         const defaultSauceRadio = document.querySelector('input[name="sauce"][value="No Sauce"]');
@@ -1514,6 +3360,10 @@ if (document.querySelector('.product-detail')) {
                 elements.customSaucesDiv.classList.remove('show');
             }
         }
+        
+        // Pre-fill after defaults so they don't overwrite the edited line
+        loadCartLineForEditing();
+        renderComboUpsell();
     });
 }
 
@@ -2001,8 +3851,25 @@ if (!document.querySelector('#kodijong-styles')) {
 document.addEventListener('DOMContentLoaded', function() {
     console.log('DOM fully loaded, initializing CartManager');
     
-    // Initialize cart count
+    // Badges follow every cart change (this tab or another)
     CartManager.updateCartCount();
+    CartManager.subscribe(function() {
+        CartManager.updateCartCount();
+    });
+    
+    // Hours list and open/closed badges
+    initOpeningHours();
+    
+    // Pickup slots and collection/delivery choice in the order form
+    initPickupSelector();
+    initFulfilmentToggle();
+    initPromoCode();
+    initOrderChannels();
+    initOrderSubmission();
+    initOrderConfirmation();
+    
+    // Previous orders panel in the cart sidebar
+    initOrderHistoryPanel();
     
     // Initialize WhatsApp button
     initWhatsAppButton();
@@ -0,0 +1,295 @@
+// ============================================
+// ORDER SUBMISSION (optional HTTP copy of every order)
+// ============================================
+// Off until ENDPOINT is set. When on, every placed order is also POSTed
+// as JSON to the endpoint, whatever channel the customer picked. Orders
+// wait in a localStorage queue (kodijongOrderQueue) until the server
+// accepts them, so a dropped connection or a closed tab doesn't lose one.
+//
+// Request: POST <endpoint>, Content-Type: application/json,
+//   Idempotency-Key: <order.idempotencyKey> (same key on every retry)
+//   body: buildPayload(order) - cart lines in the current cart schema
+// Response: any 2xx = received. 408, 429 and 5xx are retried with
+// backoff; other 4xx mean the server rejected the order, so it stops.
+//
+// Cancelling (the customer says the message never went): an order not
+// yet tried is just dropped from the queue; otherwise the queue sends
+// PATCH <endpoint>/<key> { status: 'cancelled' } with the same retries,
+// so the kitchen board and slot counts let it go.
+//
+// Testing: run `node tools/mock-order-server.js`, then in the browser
+// console: localStorage.setItem('kodijongOrderEndpoint', 'http://localhost:8787/orders')
+
+const OrderSubmission = {
+    ENDPOINT: '',
+    BASE_DELAY_MS: 5000,          // First retry after 5s, then doubling...
+    MAX_DELAY_MS: 5 * 60000,      // ...up to every 5 minutes
+    MAX_ATTEMPTS: 10,
+    TIMEOUT_MS: 15000,
+
+    _timer: null,
+    _sending: false,
+    _inFlightKey: null,        // Order key of the POST/PATCH under way
+    _listeners: [],
+    _initialized: false,
+    _lastSentAt: null,
+
+    getEndpoint: function() {
+        try {
+            return localStorage.getItem('kodijongOrderEndpoint') || this.ENDPOINT;
+        } catch (error) {
+            return this.ENDPOINT;
+        }
+    },
+
+    isEnabled: function() {
+        return Boolean(this.getEndpoint()) && typeof fetch === 'function';
+    },
+
+    // ========== QUEUE ==========
+
+    // [{ key, action: 'create' | 'cancel', orderNumber, payload, attempts,
+    //    nextAttemptAt, status: 'pending' | 'failed', lastError }]
+    // (entries saved before cancelling existed have no action: 'create')
+    getQueue: function() {
+        try {
+            const queue = JSON.parse(localStorage.getItem('kodijongOrderQueue') || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            console.error('Error reading order queue:', error);
+            return [];
+        }
+    },
+
+    _saveQueue: function(queue) {
+        try {
+            localStorage.setItem('kodijongOrderQueue', JSON.stringify(queue));
+        } catch (error) {
+            console.error('Error saving order queue:', error);
+        }
+        this._notify();
+    },
+
+    _isCancel: function(entry) {
+        return entry.action === 'cancel';
+    },
+
+    _updateEntry: function(key, action, changes) {
+        this._saveQueue(this.getQueue().map(entry =>
+            (entry.key === key && this._isCancel(entry) === (action === 'cancel') ? { ...entry, ...changes } : entry)));
+    },
+
+    // JSON body for one order
+    buildPayload: function(order, channelId) {
+        return {
+            idempotencyKey: order.idempotencyKey,
+            schemaVersion: CartManager.CART_SCHEMA_VERSION,
+            orderNumber: order.orderNumber,
+            createdAt: new Date(order.createdAt).toISOString(),
+            channel: channelId || null,
+            customer: order.customer,
+            fulfilment: order.fulfilment,
+            pickup: order.pickup,
+            items: order.items,
+            totals: order.totals,
+            promoCode: order.promoCode,
+            instructions: order.instructions
+        };
+    },
+
+    enqueue: function(order, channelId) {
+        if (!this.isEnabled()) return false;
+
+        const queue = this.getQueue();
+        if (!queue.some(entry => entry.key === order.idempotencyKey)) {
+            queue.push({
+                key: order.idempotencyKey,
+                action: 'create',
+                orderNumber: order.orderNumber,
+                payload: this.buildPayload(order, channelId),
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                status: 'pending',
+                lastError: null
+            });
+            this._saveQueue(queue);
+        }
+
+        this.flush();
+        return true;
+    },
+
+    // Put failed orders back in line and send now
+    retryAll: function() {
+        this._saveQueue(this.getQueue().map(entry => ({ ...entry, status: 'pending', nextAttemptAt: Date.now() })));
+        this.flush();
+    },
+
+    // Give up on an order the server will never take
+    discard: function(key) {
+        this._saveQueue(this.getQueue().filter(entry => entry.key !== key));
+    },
+
+    // Withdraw an order the customer never sent to the shop
+    cancel: function(key) {
+        if (!key) return;
+
+        const queue = this.getQueue();
+        const created = queue.find(entry => entry.key === key && !this._isCancel(entry));
+        const mayHaveArrived = !created || created.attempts > 0 || this._inFlightKey === key;
+        const rest = queue.filter(entry => entry.key !== key);
+
+        if (mayHaveArrived && this.isEnabled()) {
+            rest.push({
+                key,
+                action: 'cancel',
+                orderNumber: created ? created.orderNumber : null,
+                payload: { status: 'cancelled' },
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                status: 'pending',
+                lastError: null
+            });
+        }
+        this._saveQueue(rest);
+        this.flush();
+    },
+
+    // ========== SENDING ==========
+
+    _delayFor: function(attempts) {
+        return Math.min(this.BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), this.MAX_DELAY_MS);
+    },
+
+    // POST a new order, or PATCH <endpoint>/<key> to cancel one
+    _post: async function(entry) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), this.TIMEOUT_MS) : null;
+        const cancel = this._isCancel(entry);
+
+        try {
+            return await fetch(cancel ? `${this.getEndpoint().replace(/\/$/, '')}/${encodeURIComponent(entry.key)}` : this.getEndpoint(), {
+                method: cancel ? 'PATCH' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': entry.key
+                },
+                body: JSON.stringify(entry.payload),
+                signal: controller ? controller.signal : undefined
+            });
+        } finally {
+            if (timeout) clearTimeout(timeout);
+        }
+    },
+
+    // Send every order that is due, one at a time, then schedule the next retry
+    flush: async function() {
+        if (this._sending || !this.isEnabled()) return;
+        this._sending = true;
+        this._notify();
+
+        try {
+            for (const entry of this.getQueue()) {
+                if (entry.status !== 'pending' || entry.nextAttemptAt > Date.now()) continue;
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) break;
+
+                // Cancelled while an earlier entry was being sent
+                if (!this.getQueue().some(queued => queued.key === entry.key && this._isCancel(queued) === this._isCancel(entry))) continue;
+
+                const attempts = entry.attempts + 1;
+                const action = this._isCancel(entry) ? 'cancel' : 'create';
+                this._inFlightKey = entry.key;
+                try {
+                    const response = await this._post(entry);
+
+                    // 404 on a cancel: the order never arrived, nothing to withdraw
+                    if (response.ok || (action === 'cancel' && response.status === 404)) {
+                        this._saveQueue(this.getQueue().filter(queued =>
+                            !(queued.key === entry.key && this._isCancel(queued) === (action === 'cancel'))));
+                        if (action === 'create') this._lastSentAt = Date.now();
+                        continue;
+                    }
+
+                    const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+                    this._updateEntry(entry.key, action, {
+                        attempts,
+                        status: retryable && attempts < this.MAX_ATTEMPTS ? 'pending' : 'failed',
+                        nextAttemptAt: Date.now() + this._delayFor(attempts),
+                        lastError: `Server replied ${response.status}`
+                    });
+                } catch (error) {
+                    // Offline, timed out, CORS or DNS trouble: all worth another go
+                    this._updateEntry(entry.key, action, {
+                        attempts,
+                        status: attempts < this.MAX_ATTEMPTS ? 'pending' : 'failed',
+                        nextAttemptAt: Date.now() + this._delayFor(attempts),
+                        lastError: error.name === 'AbortError' ? 'Timed out' : 'Could not reach the server'
+                    });
+                }
+            }
+        } finally {
+            this._sending = false;
+            this._inFlightKey = null;
+            this._schedule();
+            this._notify();
+        }
+    },
+
+    _schedule: function() {
+        clearTimeout(this._timer);
+        const pending = this.getQueue().filter(entry => entry.status === 'pending');
+        if (pending.length === 0) return;
+
+        const next = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        this._timer = setTimeout(() => this.flush(), Math.max(next - Date.now(), 0));
+    },
+
+    // ========== STATUS ==========
+
+    // { pending, failed, sending, nextAttemptAt, lastSentAt } - orders
+    // only; cancellations go quietly
+    getStatus: function() {
+        const queue = this.getQueue().filter(entry => !this._isCancel(entry));
+        const pending = queue.filter(entry => entry.status === 'pending');
+        return {
+            pending: pending.length,
+            failed: queue.filter(entry => entry.status === 'failed').length,
+            sending: this._sending,
+            nextAttemptAt: pending.length ? Math.min(...pending.map(entry => entry.nextAttemptAt)) : null,
+            lastSentAt: this._lastSentAt
+        };
+    },
+
+    subscribe: function(listener) {
+        this._listeners.push(listener);
+        return () => {
+            this._listeners = this._listeners.filter(fn => fn !== listener);
+        };
+    },
+
+    _notify: function() {
+        const status = this.getStatus();
+        this._listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('Order submission listener failed:', error);
+            }
+        });
+    },
+
+    // Pick up where the last visit left off, and retry as soon as we're back online
+    init: function() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('storage', e => {
+            if (e.key === 'kodijongOrderQueue') this._notify();
+        });
+        this.flush();
+    }
+};
+
+// Make OrderSubmission available globally
+window.OrderSubmission = OrderSubmission;
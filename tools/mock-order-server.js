@@ -0,0 +1,120 @@
+// ============================================
+// MOCK ORDER SERVER (local testing of submission.js)
+// ============================================
+// Plain Node, no dependencies:
+//
+//   node tools/mock-order-server.js              listens on :8787
+//   PORT=9000 node tools/mock-order-server.js
+//   FAIL_FIRST=3 node tools/mock-order-server.js answers 503 to the first
+//                                                3 POSTs (to watch retries)
+//
+// Then point the site at it from the browser console:
+//   localStorage.setItem('kodijongOrderEndpoint', 'http://localhost:8787/orders')
+//
+// POST  /orders        store an order (201), or 200 with duplicate: true
+//                      when the Idempotency-Key was seen before
+// GET   /orders        everything received so far, newest first
+// PATCH /orders/<key>  { status } - kitchen.html moves tickets through
+//                      new -> preparing -> ready -> collected; the site
+//                      sends cancelled when a customer withdraws an order
+// Orders live in memory only; restart to clear.
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+let failuresLeft = parseInt(process.env.FAIL_FIRST, 10) || 0;
+const orders = new Map(); // Idempotency-Key -> order
+const STATUSES = ['new', 'preparing', 'ready', 'collected', 'cancelled'];
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The site is usually opened from another origin (or file://)
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req, callback) {
+    let raw = '';
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+    req.on('end', () => {
+        try {
+            callback(JSON.parse(raw));
+        } catch (error) {
+            callback(null);
+        }
+    });
+}
+
+function updateStatus(req, res, key) {
+    readJson(req, body => {
+        const order = orders.get(key);
+        if (!order) return send(res, 404, { error: 'No such order' });
+        if (!body || !STATUSES.includes(body.status)) {
+            return send(res, 422, { error: `status must be one of ${STATUSES.join(', ')}` });
+        }
+
+        order.status = body.status;
+        order.statusChangedAt = new Date().toISOString();
+        console.log(`${order.orderNumber} -> ${order.status}`);
+        send(res, 200, order);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const ticket = path.match(/^\/orders\/([^/]+)$/);
+    if (ticket && req.method === 'PATCH') return updateStatus(req, res, decodeURIComponent(ticket[1]));
+    if (path !== '/orders') return send(res, 404, { error: 'Not found' });
+
+    if (req.method === 'GET') {
+        return send(res, 200, Array.from(orders.values()).reverse());
+    }
+    if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+    let raw = '';
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+    req.on('end', () => {
+        const key = req.headers['idempotency-key'];
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`503 (simulated) ${key || ''}`);
+            return send(res, 503, { error: 'Simulated outage' });
+        }
+        if (!key) return send(res, 400, { error: 'Idempotency-Key header is required' });
+        if (orders.has(key)) {
+            console.log(`200 duplicate ${key}`);
+            return send(res, 200, { id: key, duplicate: true });
+        }
+
+        let order;
+        try {
+            order = JSON.parse(raw);
+        } catch (error) {
+            return send(res, 400, { error: 'Body must be JSON' });
+        }
+        if (!order || !Array.isArray(order.items) || order.items.length === 0) {
+            return send(res, 422, { error: 'Order has no items' });
+        }
+
+        const now = new Date().toISOString();
+        orders.set(key, { ...order, receivedAt: now, status: 'new', statusChangedAt: now });
+        console.log(`201 order ${order.orderNumber} (${order.items.length} lines, R${order.totals ? order.totals.total : '?'}) ${key}`);
+        send(res, 201, { id: key, duplicate: false });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock order server on http://localhost:${PORT}/orders`);
+});